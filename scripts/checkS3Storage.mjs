@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { createStorage, isStorageUrl } from '../src/storage.mjs';
+import { readBuffer, readStreamToBuffer } from '../src/storageUtils.mjs';
+
+/**
+ * Contains size in bytes of parts of multipart uploads, which is the minimum size of S3.
+ */
+const partSize = 5 * 1024 * 1024;
+
+/**
+ * Runs check and writes its name on success.
+ *
+ * @param {string} name String with name of the check.
+ * @param {Function} fn Function with asynchronous check.
+ */
+const check = async (name, fn) => {
+    await fn();
+
+    console.log(`ok    ${name}`);
+};
+
+/**
+ * Validates whether promise fails with error code.
+ *
+ * @param {Promise} promise Instance of the promise.
+ * @param {string} code String with expected code of the error.
+ */
+const rejectsWithCode = (promise, code) =>
+    assert.rejects(promise, (err) => err.code === code);
+
+/**
+ * Checks storage adapter of S3-compatible service. All objects are written below a
+ * unique prefix of the given URL and deleted at the end.
+ *
+ * @param {string} url String with URL in the format s3://bucket/prefix.
+ */
+const checkS3Storage = async (url) => {
+    const storage = createStorage(`${url.replace(/\/+$/, '')}/check-${crypto.randomUUID()}`);
+    const data = crypto.randomBytes(partSize + 1024);
+
+    storage.partSize = partSize;
+
+    try {
+        await check('put and get object', async () => {
+            await storage.put('small', 'hello world');
+
+            assert.equal((await readStreamToBuffer(await storage.get('small'))).toString(), 'hello world');
+        });
+
+        await check('get range of object', async () => {
+            assert.equal((await readBuffer(storage, 'small', 6, 10)).toString(), 'world');
+            assert.equal((await readBuffer(storage, 'small', 6)).toString(), 'world');
+        });
+
+        await check('put object by multipart upload', async () => {
+            await storage.put('large', data);
+
+            assert.deepEqual(await readStreamToBuffer(await storage.get('large')), data);
+            assert.deepEqual(await storage.stat('large'), { size: data.length });
+        });
+
+        await check('fail exclusive put of existing object', async () => {
+            await storage.put('.lock', 'first', { exclusive: true });
+            await rejectsWithCode(storage.put('.lock', 'second', { exclusive: true }), 'EEXIST');
+
+            assert.equal((await readStreamToBuffer(await storage.get('.lock'))).toString(), 'first');
+        });
+
+        await check('list objects', async () => {
+            await storage.put('nested/object', 'nested');
+
+            assert.deepEqual(await storage.list(), ['.lock', 'large', 'small']);
+            assert.deepEqual(await storage.list('sm'), ['small']);
+        });
+
+        await check('fail on missing object', async () => {
+            await rejectsWithCode(storage.get('missing'), 'ENOENT');
+
+            assert.equal(await storage.stat('missing'), undefined);
+            assert.equal(await storage.exists('missing'), false);
+        });
+
+        await check('delete object', async () => {
+            await storage.delete('small');
+            await storage.delete('small');
+
+            assert.equal(await storage.exists('small'), false);
+        });
+    } finally {
+        await storage.delete('nested/object').catch(() => {});
+        await storage.clear().catch(() => {});
+    }
+
+    await check('clear objects', async () => assert.deepEqual(await storage.list(), []));
+};
+
+const [url] = process.argv.slice(2);
+
+if (!isStorageUrl(url ?? '')) {
+    console.error('Usage: node scripts/checkS3Storage.mjs s3://bucket/prefix');
+
+    process.exit(1);
+}
+
+try {
+    await checkS3Storage(url);
+} catch (err) {
+    console.error(`failed ${err.message}`);
+
+    process.exitCode = 1;
+}
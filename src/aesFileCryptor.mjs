@@ -2,135 +2,188 @@
 // Licensed under the MIT license. See LICENSE in the project root for license information.
 
 import crypto from 'crypto';
-import { existsSync, createReadStream, createWriteStream } from 'fs';
-import { Readable } from 'stream';
-import { createGzip, createUnzip } from 'zlib';
-import { log } from './log.mjs';
-import AttachInitVect from './attachInitVect.mjs';
+import { existsSync, createReadStream } from 'fs';
+import { PassThrough, Readable, pipeline } from 'stream';
+import { CorruptDataError, MissingBlobError, NotFoundError, WrongPasswordError } from './errors.mjs';
+import { readBuffer } from './storageUtils.mjs';
+import { defaultCompression, createCompressor, createDecompressor } from './compression.mjs';
+import { maxHeaderLength, getAlgorithm, createBlobHeader, parseBlobHeader } from './blobHeader.mjs';
+import AttachHeader from './attachHeader.mjs';
 import StringWritable from './stringWritable.mjs';
 
 class AESFileCryptor {
     
     /**
-     * Contains symmetric algorithm of @see AESFileCryptor.
+     * Contains authenticated symmetric algorithm of @see AESFileCryptor.
      */
-    algorithm = 'aes256';
+    algorithm = 'aes-256-gcm';
+
+    /**
+     * Contains symmetric algorithm of legacy blobs without header.
+     */
+    legacyAlgorithm = 'aes256';
+
+    /**
+     * Contains length of initialization vector of legacy blobs.
+     */
+    legacyInitVectLength = 16;
+
+    /**
+     * Contains compression of encrypted blobs with method and optional level.
+     */
+    compression = defaultCompression;
 
     /**
      * Initializes new instance of @see AESFileCryptor.
      * 
-     * @param {string} password Password for the cipher key.
+     * @param {string|Buffer} password Password or derived key for the cipher key.
+     * @param {string} algorithm String with name of the authenticated algorithm.
+     * @param {object} compression Object with method and optional level of compression.
      */
-    constructor(password) {
+    constructor(password, algorithm, compression) {
         this.cipherKey = this.#getCipherKey(password);
+
+        if (algorithm) {
+            this.algorithm = algorithm;
+        }
+
+        if (compression) {
+            this.compression = compression;
+        }
     }
 
     /**
-     * Encrypts readable stream to target file.
+     * Encrypts readable stream to readable stream of the blob. Errors of encryption
+     * destroy the returned stream. Prefixes are authenticated together with the header of the blob.
      * 
      * @param {object} readStream Object with readable stream.
-     * @param {string} tgtFile Path of the target file.
-     */
-    encryptStreamToFile = (readStream, tgtFile) =>
-        new Promise((resolve) => {
-            const initVect = crypto.randomBytes(16);
-            const gzip = createGzip();
-            const cipher = crypto.createCipheriv(this.algorithm, this.cipherKey, initVect);
-            const attachInitVect = new AttachInitVect(initVect);
-            const writeStream = createWriteStream(tgtFile);
-    
-            readStream
-                .pipe(gzip)
-                .pipe(cipher)
-                .pipe(attachInitVect)
-                .pipe(writeStream);
-    
-            writeStream.on('finish', resolve);
-        });
+     * @param {Buffer} prefix Buffer object with plaintext data written before the blob.
+     * @returns Returns @see object with readable stream of the blob.
+     */
+    encryptStream = (readStream, prefix) => {
+        const { nonceLength, tagLength } = getAlgorithm(this.algorithm);
+        const nonce = crypto.randomBytes(nonceLength);
+        const header = createBlobHeader(this.algorithm, nonce, this.compression.method);
+        const compressor = createCompressor(this.compression);
+        const cipher = this.#createCipher(nonce, prefix ? Buffer.concat([prefix, header]) : header, tagLength);
+        const attachHeader = new AttachHeader(header, () => cipher.getAuthTag());
+        const passThrough = new PassThrough();
+
+        if (prefix) {
+            passThrough.write(prefix);
+        }
+
+        return pipeline(readStream, compressor, cipher, attachHeader, passThrough, () => {});
+    };
+
+    /**
+     * Encrypts readable stream to object of storage. Storages replace
+     * the object once the blob is written completely.
+     * 
+     * @param {object} readStream Object with readable stream.
+     * @param {object} storage Object with storage adapter.
+     * @param {string} name String with name of the object.
+     * @param {Buffer} prefix Buffer object with plaintext data written before the blob.
+     */
+    encryptStreamToStorage = (readStream, storage, name, prefix) =>
+        storage.put(name, this.encryptStream(readStream, prefix));
 
     /**
-     * Encrypts source to target file.
+     * Encrypts source file to object of storage.
      * 
      * @param {string} srcFile Path of the source file.
-     * @param {string} tgtFile Path of the target file.
+     * @param {object} storage Object with storage adapter.
+     * @param {string} name String with name of the object.
+     * @param {Function} onData Optional function called with the number of read bytes of the source file.
+     * @throws {NotFoundError} Throws error if the source file does not exist.
      */
-    async encryptFileToFile(srcFile, tgtFile) {
-        if (this.#fileExists(srcFile)) {
-            const readStream = this.#getReadStream(srcFile);
+    async encryptFileToStorage(srcFile, storage, name, onData) {
+        if (!existsSync(srcFile)) {
+            throw new NotFoundError(`File '${srcFile}' not found`);
+        }
 
-            await this.encryptStreamToFile(readStream, tgtFile);
+        const readStream = this.#getReadStream(srcFile);
+
+        if (onData) {
+            readStream.on('data', data => onData(data.length));
         }
+
+        await this.encryptStreamToStorage(readStream, storage, name);
     }
 
     /**
-     * Encrypts JSON data to target file.
+     * Encrypts JSON data to object of storage.
      * 
      * @param {object} json Object with JSON data.
-     * @param {string} tgtFile Path of the target file.
+     * @param {object} storage Object with storage adapter.
+     * @param {string} name String with name of the object.
+     * @param {Buffer} prefix Buffer object with plaintext data written before the blob.
      */
-    async encryptJsonToFile(json, tgtFile) {
+    async encryptJsonToStorage(json, storage, name, prefix) {
         const readStream = new Readable();
 
         readStream.push(JSON.stringify(json));
         readStream.push(null);
 
-        await this.encryptStreamToFile(readStream, tgtFile);
+        await this.encryptStreamToStorage(readStream, storage, name, prefix);
     }
 
     /**
-     * Decrypts source file to writeable stream.
+     * Decrypts object of storage to writeable stream.
      * 
-     * @param {string} srcFile Path of the source file.
+     * @param {object} storage Object with storage adapter.
+     * @param {string} name String with name of the object.
      * @param {object} writeStream Object with writeable stream.
+     * @param {number} offset Number of plaintext bytes before the blob.
+     * @param {Buffer} prefix Buffer object with plaintext data before the blob, which is authenticated.
+     * @throws {MissingBlobError} Throws error if the object does not exist.
+     * @throws {WrongPasswordError} Throws error if the blob cannot be authenticated or decompressed.
+     * @throws {CorruptDataError} Throws error if the blob is truncated or has an invalid header.
      */
-    decryptFileToStream = (srcFile, writeStream) =>
-        new Promise((resolve) => {
-            if (existsSync(srcFile)) {
-                this.#getBytes(srcFile, { end: 15 }, initVect => {
-                    const readStream = this.#getReadStream(srcFile, { start: 16 });
-                    const decipher = crypto.createDecipheriv(this.algorithm, this.cipherKey, initVect);
-                    const unzip = createUnzip();
-
-                    readStream
-                        .pipe(decipher)
-                        .on('error', () => {
-                            log('Incorrect password');
-                            
-                            readStream.destroy();
-                        })
-                        .pipe(unzip)
-                        .on('error', () => {})
-                        .pipe(writeStream);
-
-                    writeStream.on('finish', resolve);
-                });
-            } else {
-                resolve();
-            }
-        });
+    async decryptBlobToStream(storage, name, writeStream, offset, prefix) {
+        const location = storage.getLocation(name);
+        const layout = await this.#getBlobLayout(storage, name, offset, prefix);
+        const { start, end } = layout;
+        const readStream = end < start ? Readable.from([]) : await storage.get(name, { start, end });
 
-    /**
-     * Decrypts source to target file.
-     * 
-     * @param {string} srcFile Path of the source file.
-     * @param {string} tgtFile Path of the target file.
-     */
-    async decryptFileToFile(srcFile, tgtFile) {
-        const writeStream = createWriteStream(tgtFile);
+        await new Promise((resolve, reject) => {
+            const decipher = this.#createDecipher(layout);
+            const decompressor = createDecompressor(layout.compression);
+
+            const fail = (err) => {
+                readStream.destroy();
+
+                reject(err);
+            };
+
+            const failDecryption = () =>
+                fail(new WrongPasswordError(`Incorrect password or corrupt data in '${location}'`));
 
-        await this.decryptFileToStream(srcFile, writeStream);
+            readStream
+                .on('error', fail)
+                .pipe(decipher)
+                .on('error', failDecryption)
+                .pipe(decompressor)
+                .on('error', failDecryption)
+                .pipe(writeStream)
+                .on('error', fail)
+                .on('finish', resolve);
+        });
     }
 
     /**
-     * Decrypts source file to JSON object.
+     * Decrypts object of storage to JSON object.
      * 
-     * @param {string} srcFile Path of the source file.
+     * @param {object} storage Object with storage adapter.
+     * @param {string} name String with name of the object.
+     * @param {number} offset Number of plaintext bytes before the blob.
+     * @param {Buffer} prefix Buffer object with plaintext data before the blob, which is authenticated.
      * @returns Object with JSON data.
      */
-    async decryptFileToJson(srcFile) {
+    async decryptBlobToJson(storage, name, offset, prefix) {
         const writeStream = new StringWritable();
 
-        await this.decryptFileToStream(srcFile, writeStream);
+        await this.decryptBlobToStream(storage, name, writeStream, offset, prefix);
 
         const data = writeStream.data;
 
@@ -138,40 +191,102 @@ class AESFileCryptor {
     }
 
     /**
-     * Validates whether file exists.
+     * Gets layout of encrypted blob with header, payload range and authentication tag.
      * 
-     * @param {string} file Path of the file.
-     * @returns Returns true if the path exists.
+     * Blobs without header are treated as legacy blobs with prepended initialization vector.
+     * 
+     * @param {object} storage Object with storage adapter.
+     * @param {string} name String with name of the object.
+     * @param {number} offset Number of plaintext bytes before the blob.
+     * @param {Buffer} prefix Buffer object with plaintext data before the blob, which is authenticated.
+     * @returns Returns object with layout of the blob.
+     * @throws {MissingBlobError} Throws error if the object does not exist.
      */
-    #fileExists(file) {
-        if (existsSync(file)) return true;
+    async #getBlobLayout(storage, name, offset = 0, prefix) {
+        const stats = await storage.stat(name);
+
+        if (!stats) {
+            throw new MissingBlobError(`Missing blob '${storage.getLocation(name)}'`);
+        }
+
+        const { size } = stats;
+        const buffer = await readBuffer(storage, name, offset, Math.min(offset + maxHeaderLength, size) - 1);
+        const parsed = parseBlobHeader(buffer);
+
+        if (!parsed) {
+            const initVect = buffer.subarray(0, this.legacyInitVectLength);
+
+            return { legacy: true, initVect, compression: 'gzip', start: offset + this.legacyInitVectLength };
+        }
+
+        const { algorithm, compression, nonce, header, length } = parsed;
+        const { tagLength } = algorithm;
+        const end = size - tagLength - 1;
 
-        log(`File '${file}' not found`);
+        if (end < offset + length - 1) {
+            throw new CorruptDataError(`Truncated blob '${storage.getLocation(name)}'`);
+        }
+
+        const authTag = await readBuffer(storage, name, size - tagLength, size - 1);
+
+        return {
+            algorithm,
+            compression,
+            nonce,
+            header: prefix ? Buffer.concat([prefix, header]) : Buffer.from(header),
+            authTag,
+            start: offset + length,
+            end
+        };
     }
 
     /**
-     * Reads bytes of file by options and executes callback.
+     * Creates authenticated cipher by nonce and header.
      * 
-     * @param {string} file Path of the file.
-     * @param {options} options Object with options for the readable stream.
-     * @param {function} cb Callback function with data response.
+     * @param {Buffer} nonce Buffer object with nonce of the cipher.
+     * @param {Buffer} header Buffer object with header as additional authenticated data.
+     * @param {number} authTagLength Number with length of the authentication tag.
+     * @returns Returns instance of cipher.
+     */
+    #createCipher(nonce, header, authTagLength) {
+        const cipher = crypto.createCipheriv(this.algorithm, this.cipherKey, nonce, { authTagLength });
+
+        cipher.setAAD(header);
+
+        return cipher;
+    }
+
+    /**
+     * Creates decipher by layout of encrypted blob.
+     * 
+     * @param {object} layout Object with layout of the blob.
+     * @returns Returns instance of decipher.
      */
-    #getBytes(file, options, cb) {
-        let result;
+    #createDecipher(layout) {
+        const { legacy, initVect, algorithm, nonce, header, authTag } = layout;
+
+        if (legacy) {
+            return crypto.createDecipheriv(this.legacyAlgorithm, this.cipherKey, initVect);
+        }
+
+        const decipher = crypto.createDecipheriv(algorithm.name, this.cipherKey, nonce, {
+            authTagLength: algorithm.tagLength
+        });
 
-        const readStream = this.#getReadStream(file, options);
+        decipher.setAAD(header);
+        decipher.setAuthTag(authTag);
 
-        readStream.on('data', chunk => result = chunk);
-        readStream.on('close', () => cb(result));
-    } 
+        return decipher;
+    }
 
     /**
-     * Gets cipher key by @see string with password.
+     * Gets cipher key by @see string with password. Buffers are used as derived keys.
      * 
-     * @param {string} password The password for cipher key.
+     * @param {string|Buffer} password The password for cipher key.
      * @returns Returns the final @see string as cipher key.
      */
-    #getCipherKey = (password) => crypto.createHash('sha256').update(password).digest();
+    #getCipherKey = (password) => Buffer.isBuffer(password) ? password :
+        crypto.createHash('sha256').update(password).digest();
 
     /**
      * Gets readable stream of file. 
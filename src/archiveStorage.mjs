@@ -0,0 +1,486 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import path from 'path';
+import { once } from 'events';
+import { createReadStream, existsSync } from 'fs';
+import { open, rm } from 'fs/promises';
+import { Readable } from 'stream';
+import { CorruptDataError, CryptDirError } from './errors.mjs';
+import FSStorage from './fsStorage.mjs';
+import { commitFile, getTmpFileName } from './fsUtils.mjs';
+import { createStorageError, toReadable } from './storageUtils.mjs';
+
+/**
+ * Contains magic bytes of archives.
+ */
+const magicBytes = Buffer.from('CDAR');
+
+/**
+ * Contains version of the archive format.
+ */
+const formatVersion = 1;
+
+/**
+ * Contains length of the header with magic bytes and version.
+ */
+const headerLength = magicBytes.length + 1;
+
+/**
+ * Contains length of the footer with offset and length of the index and magic bytes.
+ */
+const footerLength = 12 + magicBytes.length;
+
+/**
+ * Creates header of archive.
+ *
+ * @returns Returns buffer with header.
+ */
+const createHeader = () => {
+    const header = Buffer.alloc(headerLength);
+
+    magicBytes.copy(header);
+    header.writeUInt8(formatVersion, magicBytes.length);
+
+    return header;
+};
+
+/**
+ * Creates footer of archive.
+ *
+ * @param {number} indexOffset Number with offset of the index.
+ * @param {number} indexLength Number with length of the index.
+ * @returns Returns buffer with footer.
+ */
+const createFooter = (indexOffset, indexLength) => {
+    const footer = Buffer.alloc(footerLength);
+
+    footer.writeBigUInt64BE(BigInt(indexOffset));
+    footer.writeUInt32BE(indexLength, 8);
+    magicBytes.copy(footer, 12);
+
+    return footer;
+};
+
+class ArchiveStorage {
+
+    /**
+     * Map with offset, size and staging flag of objects by name.
+     */
+    #objects;
+
+    /**
+     * Promise of loading the index of the archive.
+     */
+    #loading;
+
+    /**
+     * Object with file, file handle and size of the staging archive.
+     */
+    #staging;
+
+    /**
+     * Promise of the last write to the staging archive, so that writes are appended one by one.
+     */
+    #writing = Promise.resolve();
+
+    /**
+     * Contains whether objects were written or deleted since the last commit.
+     */
+    #changed = false;
+
+    /**
+     * Initializes new instance of @see ArchiveStorage. Objects are stored in a single archive file
+     * with an index at its end, so that single objects are read without unpacking the archive.
+     * Written objects are staged in a hidden temporary archive, which replaces the archive on commit.
+     * Hidden objects, e.g. the lock file, are stored as sidecar files next to the archive.
+     *
+     * @param {string} file Path of the archive file.
+     */
+    constructor(file) {
+        this.file = file;
+        this.sidecars = new FSStorage(path.dirname(file));
+    }
+
+    /**
+     * Gets location of object for messages.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns string with path of the archive and name of the object.
+     */
+    getLocation = (name) => this.#isSidecar(name) ?
+        this.sidecars.getLocation(this.#getSidecarName(name)) : `${this.file}:${name}`;
+
+    /**
+     * Gets readable stream of object. Ranges include the end position.
+     *
+     * @param {string} name String with name of the object.
+     * @param {object} range Object with optional start and end position.
+     * @returns Returns @see object with readable stream.
+     * @throws {Error} Throws error with code ENOENT if the object does not exist.
+     */
+    async get(name, { start = 0, end } = {}) {
+        if (this.#isSidecar(name)) {
+            return this.sidecars.get(this.#getSidecarName(name), { start, end });
+        }
+
+        const object = (await this.#load()).get(name);
+
+        if (!object) {
+            throw createStorageError('ENOENT', `Object '${this.getLocation(name)}' not found`);
+        }
+
+        const last = Math.min(end ?? object.size - 1, object.size - 1);
+
+        if (last < start) {
+            return Readable.from([]);
+        }
+
+        const readStream = createReadStream(object.staged ? this.#staging.file : this.file, {
+            start: object.offset + start,
+            end: object.offset + last
+        });
+
+        await once(readStream, 'open');
+
+        return readStream;
+    }
+
+    /**
+     * Writes object to the staging archive. Objects become part of the archive on commit.
+     *
+     * @param {string} name String with name of the object.
+     * @param {Buffer|string|object} data Buffer object, string or readable stream.
+     * @param {object} options Object with additional options.
+     * @param {boolean} options.exclusive Contains whether writing fails if the object exists.
+     * @throws {Error} Throws error with code EEXIST if the exclusive object exists.
+     */
+    async put(name, data, { exclusive } = {}) {
+        if (this.#isSidecar(name)) {
+            return this.sidecars.put(this.#getSidecarName(name), data, { exclusive });
+        }
+
+        const objects = await this.#load();
+
+        if (exclusive && objects.has(name)) {
+            throw createStorageError('EEXIST', `Object '${this.getLocation(name)}' already exists`);
+        }
+
+        const writing = this.#writing.catch(() => {}).then(() => this.#append(name, data));
+
+        this.#writing = writing;
+
+        await writing;
+    }
+
+    /**
+     * Deletes object from the index. Missing objects are ignored.
+     *
+     * @param {string} name String with name of the object.
+     */
+    async delete(name) {
+        if (this.#isSidecar(name)) {
+            return this.sidecars.delete(this.#getSidecarName(name));
+        }
+
+        if ((await this.#load()).delete(name)) {
+            this.#changed = true;
+        }
+    }
+
+    /**
+     * Lists names of objects of the archive. Sidecar files are not listed.
+     *
+     * @param {string} prefix String with optional prefix of the names.
+     * @returns Returns array with names in ascending order.
+     */
+    async list(prefix = '') {
+        return [...(await this.#load()).keys()].filter(name => name.startsWith(prefix)).sort();
+    }
+
+    /**
+     * Validates whether object exists.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns true if the object exists.
+     */
+    exists = async (name) => this.#isSidecar(name) ?
+        this.sidecars.exists(this.#getSidecarName(name)) : (await this.#load()).has(name);
+
+    /**
+     * Gets metadata of object.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns object with size in bytes or undefined if the object does not exist.
+     */
+    async stat(name) {
+        if (this.#isSidecar(name)) {
+            return this.sidecars.stat(this.#getSidecarName(name));
+        }
+
+        const object = (await this.#load()).get(name);
+
+        return object && { size: object.size };
+    }
+
+    /**
+     * Removes the archive and discards staged objects.
+     */
+    async clear() {
+        await this.rollback();
+        await rm(this.file, { force: true });
+
+        this.#objects = new Map();
+        this.#loading = Promise.resolve(this.#objects);
+    }
+
+    /**
+     * Commits written and deleted objects. Objects of the archive are copied to the staging archive,
+     * which is completed by index and footer, flushed to disk and renamed to the archive afterwards.
+     * Staging archives containing bytes of overwritten or deleted objects are compacted by copying
+     * only the objects of the index to a new temporary archive. Archives without objects are removed.
+     */
+    async commit() {
+        await this.#writing.catch(() => {});
+
+        if (!this.#changed) {
+            return;
+        }
+
+        const objects = await this.#load();
+
+        if (!objects.size) {
+            await this.clear();
+
+            return;
+        }
+
+        const staging = await this.#openStaging();
+        const output = this.#hasDeadBytes(staging, objects) ? await this.#createTmpArchive() : staging;
+        const index = {};
+
+        try {
+            for (const [name, object] of [...objects].sort(([a], [b]) => a.localeCompare(b))) {
+                if (object.staged && output === staging) {
+                    index[name] = { offset: object.offset, size: object.size };
+                } else {
+                    const offset = output.size;
+
+                    await this.#write(output, await this.get(name));
+
+                    index[name] = { offset, size: object.size };
+                }
+            }
+
+            const data = Buffer.from(JSON.stringify({ objects: index }));
+            const indexOffset = output.size;
+
+            await output.fileHandle.truncate(indexOffset);
+            await this.#write(output, Readable.from([data, createFooter(indexOffset, data.length)]));
+            await output.fileHandle.close();
+        } catch (err) {
+            if (output !== staging) {
+                await output.fileHandle.close().catch(() => {});
+                await rm(output.file, { force: true });
+            }
+
+            throw err;
+        }
+
+        await commitFile(output.file, this.file);
+
+        if (output !== staging) {
+            await staging.fileHandle.close();
+            await rm(staging.file, { force: true });
+        }
+
+        this.#staging = undefined;
+        this.#changed = false;
+        this.#objects = new Map(Object.entries(index));
+        this.#loading = Promise.resolve(this.#objects);
+    }
+
+    /**
+     * Discards staged objects and deleted objects since the last commit.
+     */
+    async rollback() {
+        await this.#writing.catch(() => {});
+
+        if (this.#staging) {
+            await this.#staging.fileHandle.close().catch(() => {});
+            await rm(this.#staging.file, { force: true });
+        }
+
+        this.#staging = undefined;
+        this.#changed = false;
+        this.#loading = undefined;
+    }
+
+    /**
+     * Appends object to the staging archive and adds it to the index.
+     *
+     * @param {string} name String with name of the object.
+     * @param {Buffer|string|object} data Buffer object, string or readable stream.
+     */
+    async #append(name, data) {
+        const staging = await this.#openStaging();
+        const offset = staging.size;
+
+        await this.#write(staging, toReadable(data));
+
+        this.#objects.set(name, { offset, size: staging.size - offset, staged: true });
+        this.#changed = true;
+    }
+
+    /**
+     * Writes readable stream to the end of the staging archive. Failed writes are
+     * overwritten by the next write, since the size is only increased on success.
+     *
+     * @param {object} staging Object with file handle and size of the staging archive.
+     * @param {object} readStream Object with readable stream.
+     */
+    async #write(staging, readStream) {
+        let position = staging.size;
+
+        for await (const chunk of readStream) {
+            const buffer = Buffer.from(chunk);
+
+            await staging.fileHandle.write(buffer, 0, buffer.length, position);
+
+            position += buffer.length;
+        }
+
+        staging.size = position;
+    }
+
+    /**
+     * Opens staging archive next to the archive once.
+     *
+     * @returns Returns object with file, file handle and size of the staging archive.
+     */
+    async #openStaging() {
+        this.#staging ||= await this.#createTmpArchive();
+
+        return this.#staging;
+    }
+
+    /**
+     * Creates temporary archive next to the archive and writes its header.
+     *
+     * @returns Returns object with file, file handle and size of the temporary archive.
+     */
+    async #createTmpArchive() {
+        const file = getTmpFileName(this.file);
+        const fileHandle = await open(file, 'wx');
+        const header = createHeader();
+
+        await fileHandle.write(header, 0, header.length, 0);
+
+        return { file, fileHandle, size: header.length };
+    }
+
+    /**
+     * Validates whether staging archive contains bytes of overwritten or deleted objects.
+     *
+     * @param {object} staging Object with file handle and size of the staging archive.
+     * @param {object} objects Map with objects by name.
+     * @returns Returns true if the staged objects of the index are smaller than the staged bytes.
+     */
+    #hasDeadBytes(staging, objects) {
+        let size = headerLength;
+
+        for (const object of objects.values()) {
+            if (object.staged) {
+                size += object.size;
+            }
+        }
+
+        return size < staging.size;
+    }
+
+    /**
+     * Loads index of the archive once. Missing archives have no objects.
+     *
+     * @returns Returns map with objects by name.
+     */
+    #load() {
+        this.#loading ||= this.#readIndex().then(objects => this.#objects = objects);
+
+        return this.#loading;
+    }
+
+    /**
+     * Reads index of the archive by its footer.
+     *
+     * @returns Returns map with objects by name.
+     * @throws {CorruptDataError} Throws error if the archive is invalid.
+     * @throws {CryptDirError} Throws error if the version of the archive is not supported.
+     */
+    async #readIndex() {
+        if (!existsSync(this.file)) {
+            return new Map();
+        }
+
+        const fileHandle = await open(this.file);
+
+        try {
+            const { size } = await fileHandle.stat();
+            const header = Buffer.alloc(headerLength);
+            const footer = Buffer.alloc(footerLength);
+
+            await fileHandle.read(header, 0, headerLength, 0);
+            await fileHandle.read(footer, 0, footerLength, Math.max(0, size - footerLength));
+
+            if (size < headerLength + footerLength || !magicBytes.equals(header.subarray(0, magicBytes.length)) ||
+                !magicBytes.equals(footer.subarray(12))) {
+                throw new CorruptDataError(`Invalid archive '${this.file}'`);
+            }
+
+            const version = header.readUInt8(magicBytes.length);
+
+            if (version !== formatVersion) {
+                throw new CryptDirError(`Unsupported archive version ${version}`);
+            }
+
+            const indexOffset = Number(footer.readBigUInt64BE());
+            const indexLength = footer.readUInt32BE(8);
+
+            if (indexOffset + indexLength + footerLength !== size) {
+                throw new CorruptDataError(`Invalid archive '${this.file}'`);
+            }
+
+            const data = Buffer.alloc(indexLength);
+
+            await fileHandle.read(data, 0, indexLength, indexOffset);
+
+            try {
+                return new Map(Object.entries(JSON.parse(data.toString()).objects));
+            } catch (err) {
+                throw new CorruptDataError(`Invalid index of archive '${this.file}'`, { cause: err });
+            }
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    /**
+     * Validates whether object is stored as sidecar file.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns true if the object is hidden.
+     */
+    #isSidecar = (name) => name.startsWith('.');
+
+    /**
+     * Gets file name of sidecar file by name of the object, e.g. vault.cda.lock.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns string with file name.
+     */
+    #getSidecarName = (name) => path.basename(this.file) + name;
+}
+
+/**
+ * Exports @see ArchiveStorage as default class.
+ */
+export default ArchiveStorage;
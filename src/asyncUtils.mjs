@@ -0,0 +1,74 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+/**
+ * Creates function to run asynchronous tasks with limited concurrency.
+ * Tasks are started in the order they were added.
+ *
+ * @param {number} concurrency Number of tasks running at the same time.
+ * @returns Returns function which adds task and returns promise of its result.
+ */
+const createLimiter = (concurrency) => {
+    const queue = [];
+
+    let active = 0;
+
+    const next = () => {
+        while (active < concurrency && queue.length) {
+            const { task, resolve, reject } = queue.shift();
+
+            active++;
+
+            task().then(resolve, reject).finally(() => {
+                active--;
+
+                next();
+            });
+        }
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+
+        next();
+    });
+};
+
+/**
+ * Maps items with limited concurrency and processes results in the order of the items.
+ * Pending tasks are skipped after the first failure, which is thrown once running tasks are settled.
+ *
+ * @param {Array} items Array with items to be mapped.
+ * @param {number} concurrency Number of tasks running at the same time.
+ * @param {function} fn Asynchronous function to map item.
+ * @param {function} onResult Function to process result of item in order.
+ */
+const mapOrdered = async (items, concurrency, fn, onResult) => {
+    const limit = createLimiter(Math.max(1, concurrency || 1));
+
+    let failed = false;
+
+    const promises = items.map(item => limit(() => failed ? Promise.resolve() : fn(item)));
+
+    promises.forEach(promise => promise.catch(() => failed = true));
+
+    try {
+        for (let i = 0; i < items.length; i++) {
+            await onResult(await promises[i], items[i]);
+        }
+    } catch (err) {
+        failed = true;
+
+        await Promise.allSettled(promises);
+
+        throw err;
+    }
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    createLimiter,
+    mapOrdered
+};
@@ -0,0 +1,69 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { Transform } from 'stream';
+
+class AttachHeader extends Transform {
+
+    /**
+     * Initializes new instance of @see AttachHeader.
+     * 
+     * @param {Buffer} header Buffer object with blob header.
+     * @param {function} getTrailer Function to get buffer appended after the last chunk.
+     * @param {object} opts Object with transform options.
+     */
+    constructor(header, getTrailer, opts) {
+        super(opts);
+
+        this.header = header;
+        this.getTrailer = getTrailer;
+        this.attached = false;
+    }
+
+    /**
+     * Attaches header to instance of stream.
+     * 
+     * @param {Buffer} chunk Buffer object to be transformed and passed to stream.
+     * @param {*} _ 
+     * @param {function} cb Callback function to be called after the chunk has been processed.
+     */
+    _transform(chunk, _, cb) {
+        this.#attach();
+
+        this.push(chunk);
+
+        cb();
+    }
+
+    /**
+     * Attaches trailer to instance of stream.
+     * 
+     * @param {function} cb Callback function to be called after the trailer has been attached.
+     */
+    _flush(cb) {
+        this.#attach();
+
+        const trailer = this.getTrailer?.();
+
+        if (trailer) {
+            this.push(trailer);
+        }
+
+        cb();
+    }
+
+    /**
+     * Pushes header to stream if not already attached.
+     */
+    #attach() {
+        if (!this.attached) {
+            this.push(this.header);
+            this.attached = true;
+        }
+    }
+}
+
+/**
+ * Exports @see AttachHeader as default class.
+ */
+export default AttachHeader;
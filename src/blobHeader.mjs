@@ -0,0 +1,111 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { CorruptDataError, CryptDirError } from './errors.mjs';
+import { compressionMethods, getCompressionId } from './compression.mjs';
+
+/**
+ * Contains @see Buffer with magic bytes of encrypted blobs.
+ */
+const magicBytes = Buffer.from('CDIR');
+
+/**
+ * Contains current format version of encrypted blobs.
+ */
+const formatVersion = 2;
+
+/**
+ * Contains format version of blobs without compression identifier, which are compressed with gzip.
+ */
+const gzipOnlyVersion = 1;
+
+/**
+ * Contains @see Array with supported AEAD algorithms. The index is used as algorithm identifier.
+ */
+const algorithms = [
+    undefined,
+    { name: 'aes-256-gcm', nonceLength: 12, tagLength: 16 },
+    { name: 'chacha20-poly1305', nonceLength: 12, tagLength: 16 }
+];
+
+/**
+ * Contains maximum length of blob header in bytes.
+ */
+const maxHeaderLength = magicBytes.length + 4 + 255;
+
+/**
+ * Gets algorithm parameters by name.
+ *
+ * @param {string} name String with name of the algorithm.
+ * @returns Returns object with algorithm parameters.
+ */
+const getAlgorithm = (name) => {
+    const id = algorithms.findIndex(algorithm => algorithm?.name === name);
+
+    if (id < 0) {
+        throw new CryptDirError(`Unsupported algorithm '${name}'`);
+    }
+
+    return { id, ...algorithms[id] };
+};
+
+/**
+ * Creates header of encrypted blob.
+ *
+ * Layout: magic bytes (4), format version (1), algorithm identifier (1), compression identifier (1),
+ * nonce length (1), nonce. Headers of version 1 have no compression identifier.
+ *
+ * @param {string} name String with name of the algorithm.
+ * @param {Buffer} nonce Buffer object with nonce of the cipher.
+ * @param {string} compression String with compression method of the payload.
+ * @returns Returns buffer with blob header.
+ */
+const createBlobHeader = (name, nonce, compression) => Buffer.concat([
+    magicBytes,
+    Buffer.from([formatVersion, getAlgorithm(name).id, getCompressionId(compression), nonce.length]),
+    nonce
+]);
+
+/**
+ * Parses header of encrypted blob.
+ *
+ * @param {Buffer} buffer Buffer object with first bytes of the blob.
+ * @returns Returns object with header values or undefined if blob has no header.
+ */
+const parseBlobHeader = (buffer) => {
+    if (!buffer || buffer.length < magicBytes.length ||
+        !magicBytes.equals(buffer.subarray(0, magicBytes.length))) {
+        return;
+    }
+
+    const [version, id, ...fields] = buffer.subarray(magicBytes.length);
+    const gzipOnly = version === gzipOnlyVersion;
+    const [compressionId, nonceLength] = gzipOnly ? [getCompressionId('gzip'), fields[0]] : fields;
+    const length = magicBytes.length + (gzipOnly ? 3 : 4) + nonceLength;
+    const algorithm = algorithms[id];
+    const compression = compressionMethods[compressionId];
+
+    if ((version !== formatVersion && !gzipOnly) || !algorithm || !compression ||
+        nonceLength !== algorithm.nonceLength || buffer.length < length) {
+        throw new CorruptDataError('Unsupported or corrupt blob header');
+    }
+
+    return {
+        version,
+        algorithm,
+        compression,
+        nonce: buffer.subarray(length - nonceLength, length),
+        header: buffer.subarray(0, length),
+        length
+    };
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    maxHeaderLength,
+    getAlgorithm,
+    createBlobHeader,
+    parseBlobHeader
+};
@@ -0,0 +1,111 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { createHash } from 'crypto';
+import { Transform } from 'stream';
+
+/**
+ * Contains @see Uint32Array with deterministic random values of the gear hash.
+ */
+const gearTable = Uint32Array.from({ length: 256 }, (_, index) =>
+    createHash('sha256').update(`cryptdir-gear-${index}`).digest().readUInt32BE(0));
+
+class Chunker extends Transform {
+
+    /**
+     * Default average size of chunks in bytes.
+     */
+    static defaultAvgSize = 1024 * 1024;
+
+    /**
+     * Initializes new instance of @see Chunker. Boundaries of chunks are defined by content
+     * with a gear rolling hash, so that unchanged data results in equal chunks.
+     *
+     * @param {number} avgSize Number with average size of chunks in bytes.
+     * @param {object} opts Object with transform options.
+     */
+    constructor(avgSize = Chunker.defaultAvgSize, opts) {
+        super({ ...opts, readableObjectMode: true });
+
+        const bits = Math.max(1, Math.round(Math.log2(avgSize)));
+
+        this.minSize = Chunker.getMinSize(avgSize);
+        this.maxSize = avgSize * 4;
+        this.mask = (2 ** bits - 1) >>> 0;
+        this.hash = 0;
+        this.parts = [];
+        this.size = 0;
+    }
+
+    /**
+     * Gets minimum size of chunks by average size.
+     *
+     * @param {number} avgSize Number with average size of chunks in bytes.
+     * @returns Returns number with minimum size in bytes.
+     */
+    static getMinSize = (avgSize = Chunker.defaultAvgSize) => Math.floor(avgSize / 4);
+
+    /**
+     * Splits buffer into chunks at content-defined boundaries.
+     *
+     * @param {Buffer} chunk Buffer object to be transformed and passed to stream.
+     * @param {*} _
+     * @param {function} cb Callback function to be called after the chunk has been processed.
+     */
+    _transform(chunk, _, cb) {
+        const { minSize, maxSize, mask } = this;
+
+        let start = 0;
+        let hash = this.hash;
+        let size = this.size;
+
+        for (let i = 0; i < chunk.length; i++) {
+            hash = ((hash << 1) + gearTable[chunk[i]]) >>> 0;
+            size++;
+
+            if ((size >= minSize && (hash & mask) === 0) || size >= maxSize) {
+                this.parts.push(chunk.subarray(start, i + 1));
+                this.#pushChunk();
+
+                start = i + 1;
+                hash = 0;
+                size = 0;
+            }
+        }
+
+        if (start < chunk.length) {
+            this.parts.push(chunk.subarray(start));
+        }
+
+        this.hash = hash;
+        this.size = size;
+
+        cb();
+    }
+
+    /**
+     * Pushes remaining data as last chunk.
+     *
+     * @param {function} cb Callback function to be called after the last chunk has been pushed.
+     */
+    _flush(cb) {
+        if (this.parts.length) {
+            this.#pushChunk();
+        }
+
+        cb();
+    }
+
+    /**
+     * Pushes collected parts as single chunk.
+     */
+    #pushChunk() {
+        this.push(Buffer.concat(this.parts));
+        this.parts = [];
+    }
+}
+
+/**
+ * Exports @see Chunker as default class.
+ */
+export default Chunker;
@@ -4,15 +4,285 @@
 // Licensed under the MIT license. See LICENSE in the project root for license information.
 
 import { Command } from 'commander';
-import { setLogger } from './log.mjs';
-import CryptDir from './cryptDir.mjs';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { loadProfile } from './config.mjs';
+import { log, setLogger } from './log.mjs';
+import { hasPasswordOption, readPassword } from './password.mjs';
+import ProgressBar from './progressBar.mjs';
+import { generateIdentity, loadIdentity } from './recipients.mjs';
+import { formatBytes, parseKeyValuePairs } from './stringUtils.mjs';
+import { formatTree } from './treeUtils.mjs';
+import CryptDir, { CorruptDataError, CryptDirError, LockError, MissingBlobError, NotFoundError, WrongPasswordError } from './cryptDir.mjs';
+
+/**
+ * Contains @see object with exit codes of the process.
+ */
+const exitCodes = {
+    failed: 1,
+    damaged: 2,
+    notFound: 3,
+    wrongPassword: 4,
+    corruptData: 5,
+    missingBlob: 6,
+    locked: 7
+};
+
+/**
+ * Gets exit code of the process by error.
+ *
+ * @param {Error} err Instance of the error.
+ * @returns Returns number with exit code.
+ */
+const getExitCode = (err) => {
+    if (err instanceof WrongPasswordError) return exitCodes.wrongPassword;
+    if (err instanceof CorruptDataError) return exitCodes.corruptData;
+    if (err instanceof MissingBlobError) return exitCodes.missingBlob;
+    if (err instanceof NotFoundError) return exitCodes.notFound;
+    if (err instanceof LockError) return exitCodes.locked;
+
+    return exitCodes.failed;
+};
+
+/**
+ * Collects values of repeatable options.
+ *
+ * @param {string} value String with value of the option.
+ * @param {Array} previous Array with previous values.
+ * @returns Returns array with values.
+ */
+const collect = (value, previous = []) => [...previous, value];
 
 /**
  * Contains @see Array with objects of commands.
  */
 const commands = [
-    { name: 'encrypt', options: [['-f, --filter <filter>', 'regular expression pattern']] },
-    { name: 'decrypt' }
+    {
+        name: 'encrypt',
+        confirmPassword: true,
+        options: [
+            ['-f, --filter <filter>', 'regular expression pattern'],
+            ['--exclude <pattern>', 'exclude dirents by gitignore pattern (repeatable)', collect],
+            ['--include <pattern>', 'include dirents excluded by other patterns (repeatable)', collect],
+            ['--kdf <algorithm>', 'key derivation function (scrypt or pbkdf2)'],
+            ['--kdf-params <params>', 'cost parameters of key derivation function (e.g. N=131072,r=8,p=1)', parseKeyValuePairs],
+            ['--follow-symlinks', 'encrypt targets of symbolic links instead of the links'],
+            ['--rehash', 'calculate hashes of all files instead of using cached hashes'],
+            ['--chunking', 'store new files in content-defined chunks'],
+            ['--chunk-size <bytes>', 'average size of chunks in bytes', Number],
+            ['--compression <mode>', 'compression of new blobs: auto, none, gzip[:level] or brotli[:level] (default: auto)'],
+            ['--keep-snapshots <n>', 'number of newest snapshots to keep (default: 10)', Number],
+            ['--keep-days <days>', 'keep snapshots younger than number of days', Number],
+            ['-j, --jobs <n>', 'number of files processed concurrently', Number],
+            ['--archive <file>', 'single-file archive used instead of the encrypted directory'],
+            ['--no-progress', 'hide progress bar on terminals'],
+            ['--dry-run', 'report changes without writing'],
+            ['--json', 'output changes as JSON']
+        ]
+    },
+    {
+        name: 'decrypt',
+        args: '[paths...]',
+        options: [
+            ['-f, --filter <filter>', 'regular expression pattern'],
+            ['--exclude <pattern>', 'exclude dirents by gitignore pattern on prune (repeatable)', collect],
+            ['--include <pattern>', 'include dirents excluded by other patterns on prune (repeatable)', collect],
+            ['--prune', 'remove dirents of the source directory missing in the manifest'],
+            ['--force', 'remove dirents with local changes on prune'],
+            ['--at <snapshot>', 'restore snapshot by identifier or unique prefix'],
+            ['--follow-symlinks', 'follow symbolic links on prune'],
+            ['-j, --jobs <n>', 'number of files processed concurrently', Number],
+            ['--archive <file>', 'single-file archive used instead of the encrypted directory'],
+            ['--no-progress', 'hide progress bar on terminals'],
+            ['--dry-run', 'report changes without writing'],
+            ['--json', 'output changes as JSON']
+        ],
+        action: (cryptDir, password, opts, paths) => cryptDir.decrypt(password, { ...opts, paths })
+    },
+    {
+        name: 'cat',
+        args: '<path>',
+        stdout: true,
+        options: [
+            ['--archive <file>', 'single-file archive used instead of the encrypted directory']
+        ],
+        action: async (cryptDir, password, opts, path) => {
+            if (!await cryptDir.cat(password, path, process.stdout)) {
+                process.exitCode = exitCodes.notFound;
+            }
+        }
+    },
+    {
+        name: 'status',
+        options: [
+            ['-f, --filter <filter>', 'regular expression pattern'],
+            ['--exclude <pattern>', 'exclude dirents by gitignore pattern (repeatable)', collect],
+            ['--include <pattern>', 'include dirents excluded by other patterns (repeatable)', collect],
+            ['--follow-symlinks', 'encrypt targets of symbolic links instead of the links'],
+            ['--rehash', 'calculate hashes of all files instead of using cached hashes'],
+            ['-j, --jobs <n>', 'number of files processed concurrently', Number],
+            ['--json', 'output changes as JSON']
+        ]
+    },
+    {
+        name: 'watch',
+        confirmPassword: true,
+        options: [
+            ['-f, --filter <filter>', 'regular expression pattern'],
+            ['--exclude <pattern>', 'exclude dirents by gitignore pattern (repeatable)', collect],
+            ['--include <pattern>', 'include dirents excluded by other patterns (repeatable)', collect],
+            ['--kdf <algorithm>', 'key derivation function (scrypt or pbkdf2)'],
+            ['--kdf-params <params>', 'cost parameters of key derivation function (e.g. N=131072,r=8,p=1)', parseKeyValuePairs],
+            ['--follow-symlinks', 'encrypt targets of symbolic links instead of the links'],
+            ['--chunking', 'store new files in content-defined chunks'],
+            ['--chunk-size <bytes>', 'average size of chunks in bytes', Number],
+            ['--compression <mode>', 'compression of new blobs: auto, none, gzip[:level] or brotli[:level] (default: auto)'],
+            ['--keep-snapshots <n>', 'number of newest snapshots to keep (default: 10)', Number],
+            ['--keep-days <days>', 'keep snapshots younger than number of days', Number],
+            ['-j, --jobs <n>', 'number of files processed concurrently', Number],
+            ['--debounce <ms>', 'delay in milliseconds to collect changes (default: 500)', Number],
+            ['--no-progress', 'hide progress bar on terminals']
+        ],
+        action: async (cryptDir, password, opts) => {
+            const watcher = await cryptDir.watch(password, opts);
+            const close = () => watcher.close();
+
+            process.once('SIGINT', close);
+            process.once('SIGTERM', close);
+        }
+    },
+    {
+        name: 'passwd',
+        options: [
+            ['--new-password-file <path>', 'read new password from file'],
+            ['--new-password-env <name>', 'read new password from environment variable'],
+            ['--new-password-stdin', 'read new password from stdin'],
+            ['--kdf <algorithm>', 'key derivation function (scrypt or pbkdf2)'],
+            ['--kdf-params <params>', 'cost parameters of key derivation function (e.g. N=131072,r=8,p=1)', parseKeyValuePairs]
+        ],
+        action: async (cryptDir, password, opts) => {
+            const { newPasswordFile, newPasswordEnv, newPasswordStdin } = opts;
+
+            if (newPasswordStdin && program.opts().passwordStdin) {
+                throw new CryptDirError('Current and new password cannot both be read from stdin');
+            }
+
+            const newPassword = await readPassword({
+                passwordFile: newPasswordFile,
+                passwordEnv: newPasswordEnv,
+                passwordStdin: newPasswordStdin
+            }, true, 'New password');
+
+            await cryptDir.changePassword(password, newPassword, opts);
+        }
+    },
+    {
+        name: 'ls',
+        args: '[path]',
+        options: [
+            ['-f, --filter <filter>', 'regular expression pattern'],
+            ['-g, --glob <pattern>', 'glob pattern'],
+            ['--at <snapshot>', 'list snapshot by identifier or unique prefix'],
+            ['--flat', 'output flat list instead of tree'],
+            ['--archive <file>', 'single-file archive used instead of the encrypted directory'],
+            ['--json', 'output dirents as JSON']
+        ],
+        action: async (cryptDir, password, opts, path) => {
+            const entries = await cryptDir.list(password, { ...opts, path });
+
+            if (opts.json) {
+                return entries;
+            }
+
+            const getLabel = ({ type, fileId, fileHash, size, link }) => {
+                if (type === 'link') return `-> ${link}`;
+                if (type === 'file') return `[${fileId}, ${fileHash}, ${size === undefined ? 'missing' : formatBytes(size)}]`;
+            };
+
+            const lines = opts.flat ?
+                entries.map(entry => `${entry.path}${entry.type === 'directory' ? '/' : ' ' + getLabel(entry)}`) :
+                formatTree(entries, getLabel);
+
+            lines.forEach(line => console.log(line));
+        }
+    },
+    {
+        name: 'history',
+        options: [
+            ['--archive <file>', 'single-file archive used instead of the encrypted directory'],
+            ['--json', 'output snapshots as JSON']
+        ],
+        action: async (cryptDir, password, opts) => {
+            const snapshots = await cryptDir.history(password);
+
+            if (opts.json) {
+                return snapshots;
+            }
+
+            snapshots.forEach(({ id, date, files, directories, links }) =>
+                console.log(`${id}  ${date}  ${files} files, ${directories} directories, ${links} links`));
+        }
+    },
+    {
+        name: 'keygen',
+        args: '<file>',
+        noPassword: true,
+        options: [
+            ['-t, --type <type>', 'type of key pair (x25519 or rsa)', 'x25519']
+        ],
+        action: (cryptDir, password, opts, file) => {
+            const existing = [file, `${file}.pub`].find(existsSync);
+
+            if (existing) {
+                throw new CryptDirError(`File '${existing}' already exists`);
+            }
+
+            const { privateKey, publicKey } = generateIdentity(opts.type);
+
+            writeFileSync(file, privateKey, { mode: 0o600, flag: 'wx' });
+            writeFileSync(`${file}.pub`, publicKey, { flag: 'wx' });
+
+            log(`Generated private key '${file}' and public key '${file}.pub'`);
+        }
+    },
+    {
+        name: 'recipients',
+        args: '<action> [recipient]',
+        options: [
+            ['--name <name>', 'name of recipient to add'],
+            ['--json', 'output recipients as JSON']
+        ],
+        action: async (cryptDir, password, opts, action, recipient) => {
+            if (action === 'add' && recipient) {
+                return cryptDir.addRecipient(password, readFileSync(recipient), opts.name);
+            } else if (action === 'remove' && recipient) {
+                return cryptDir.removeRecipient(password, recipient);
+            } else if (action !== 'list') {
+                throw new CryptDirError('Usage: recipients add <public-key-file> | remove <recipient> | list');
+            }
+
+            const recipients = await cryptDir.listRecipients(password);
+
+            if (opts.json) {
+                return recipients;
+            }
+
+            recipients.forEach(({ id, name, type }) => console.log(`${id}  ${type}${name ? '  ' + name : ''}`));
+        }
+    },
+    {
+        name: 'verify',
+        options: [
+            ['--archive <file>', 'single-file archive used instead of the encrypted directory']
+        ],
+        action: async (cryptDir, password) => {
+            const { ok } = await cryptDir.verify(password);
+
+            if (!ok) {
+                process.exitCode = exitCodes.damaged;
+            }
+        }
+    }
 ];
 
 /**
@@ -35,17 +305,60 @@ program
  * Adds multiple instances of @see Command to Commander.js.
  */
 for (const command of commands) {
-    const { name: cmdName, options } = command;
-    const cmd = program.command(cmdName);
+    const { name: cmdName, args, stdout, confirmPassword, noPassword, requiredOptions, options, action } = command;
+    const cmd = program.command(args ? `${cmdName} ${args}` : cmdName);
 
+    requiredOptions?.forEach(option => cmd.requiredOption(...option));
     options?.forEach(option => cmd.option(...option));
 
-    cmd.action(async (opts) => {
-        const { password, srcDirectory, encDirectory } = program.opts();
+    cmd.action(async (...params) => {
+        let progressBar;
+
+        try {
+            const cmdArgs = params.slice(0, -2);
+            const opts = params.at(-2);
+            const globalOpts = program.opts();
+            const { passwordFile, passwordEnv, identity: profileIdentity, ...profile } = loadProfile(globalOpts.profile);
+            const passwordOpts = hasPasswordOption(globalOpts) ? globalOpts : { passwordFile, passwordEnv };
+            const identity = globalOpts.identity ?? profileIdentity;
+
+            if (opts.json || stdout) {
+                setLogger({ log: console.error });
+            }
+
+            const cryptDir = new CryptDir({
+                ...profile,
+                srcDir: globalOpts.srcDirectory ?? profile.srcDir ?? process.cwd(),
+                encDir: globalOpts.encDirectory ?? profile.encDir,
+                archive: opts.archive ? resolve(opts.archive) : profile.archive,
+                identity: identity && loadIdentity(identity),
+                wait: globalOpts.wait ?? profile.wait,
+                breakLock: globalOpts.breakLock
+            });
+
+            if (opts.progress && process.stderr.isTTY) {
+                progressBar = new ProgressBar(process.stderr).attach(cryptDir);
+
+                setLogger(progressBar.wrapLogger(global.logger));
+            }
+
+            const password = noPassword || (identity && !hasPasswordOption(passwordOpts)) ? undefined :
+                await readPassword(passwordOpts, confirmPassword && !(await cryptDir.hasManifest()));
+
+            const result = await (action ?
+                action(cryptDir, password, opts, ...cmdArgs) :
+                cryptDir[cmdName](password, opts));
+
+            if (opts.json) {
+                console.log(JSON.stringify(result, null, 2));
+            }
+        } catch (err) {
+            progressBar?.clear();
 
-        const cryptDir = new CryptDir(srcDirectory || process.cwd(), encDirectory);
+            console.error(`error: ${err.message}`);
 
-        await cryptDir[cmdName](password, opts);
+            process.exitCode = getExitCode(err);
+        }
     });
 }
 
@@ -53,9 +366,16 @@ for (const command of commands) {
  * Adds default options to @see Command instance.
  */
 program
-    .requiredOption('-p, --password <password>', 'password for encryption or decryption')
+    .option('-p, --password <password>', 'password for encryption or decryption (visible in process list)')
+    .option('--password-file <path>', 'read password from file')
+    .option('--password-env <name>', 'read password from environment variable')
+    .option('--password-stdin', 'read password from stdin')
+    .option('-i, --identity <file>', 'private key of recipient used instead of the password')
     .option('-s, --src-directory <dir>', 'directory of source files')
-    .option('-e, --enc-directory <dir>', 'directory of encrypted files');
+    .option('-e, --enc-directory <dir>', 'directory or storage URL of encrypted files')
+    .option('--profile <name>', 'profile of config file')
+    .option('--wait', 'wait until the lock of another process is released')
+    .option('--break-lock', 'remove the lock of another process');
 
 /**
  * Instance of @see Command parses command-line arguments.
@@ -0,0 +1,173 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import path from 'path';
+import { open } from 'fs/promises';
+import { PassThrough } from 'stream';
+import { constants, createBrotliCompress, createBrotliDecompress, createGzip, createUnzip, gzipSync } from 'zlib';
+import { CryptDirError } from './errors.mjs';
+
+/**
+ * Contains @see Array with supported compression methods. The index is used as compression identifier.
+ */
+const compressionMethods = ['none', 'gzip', 'brotli'];
+
+/**
+ * Contains maximum levels of compression methods.
+ */
+const maxLevels = { gzip: 9, brotli: 11 };
+
+/**
+ * Contains default compression of blobs without automatic choice, e.g. manifests.
+ */
+const defaultCompression = { method: 'gzip' };
+
+/**
+ * Contains @see Set with extensions of files, which are compressed already.
+ */
+const incompressibleExtensions = new Set([
+    '7z', 'aac', 'apk', 'avi', 'avif', 'br', 'bz2', 'cda', 'docx', 'epub', 'flac', 'gif', 'gz', 'heic', 'jar',
+    'jpeg', 'jpg', 'lz4', 'm4a', 'm4v', 'mkv', 'mov', 'mp3', 'mp4', 'odp', 'ods', 'odt', 'ogg', 'opus', 'png',
+    'pptx', 'rar', 'tgz', 'webm', 'webp', 'woff', 'woff2', 'xlsx', 'xz', 'zip', 'zst'
+]);
+
+/**
+ * Contains length in bytes of samples to measure compressibility of files.
+ */
+const sampleLength = 64 * 1024;
+
+/**
+ * Contains minimum ratio of saved bytes of samples, so that files are compressed.
+ */
+const minSavings = 0.05;
+
+/**
+ * Parses compression mode, e.g. auto, none, gzip, gzip:9 or brotli:5.
+ *
+ * @param {string} value String with compression mode.
+ * @returns Returns object with method and optional level of compression.
+ * @throws {CryptDirError} Throws error if the mode or level is invalid.
+ */
+const parseCompression = (value = 'auto') => {
+    const [method, level, ...rest] = String(value).toLowerCase().split(':');
+
+    if (method === 'auto' || method === 'none') {
+        if (level === undefined) {
+            return { method };
+        }
+    } else if (maxLevels[method] !== undefined && !rest.length) {
+        if (level === undefined) {
+            return { method };
+        }
+
+        const number = Number(level);
+
+        if (level !== '' && Number.isInteger(number) && number >= 0 && number <= maxLevels[method]) {
+            return { method, level: number };
+        }
+    }
+
+    throw new CryptDirError(`Invalid compression '${value}', use auto, none, gzip[:0-9] or brotli[:0-11]`);
+};
+
+/**
+ * Gets identifier of compression method for blob headers.
+ *
+ * @param {string} method String with compression method.
+ * @returns Returns number with identifier.
+ */
+const getCompressionId = (method) => compressionMethods.indexOf(method);
+
+/**
+ * Reads sample from start of file.
+ *
+ * @param {string} file Path of the file.
+ * @returns Returns buffer with sample.
+ */
+const readSample = async (file) => {
+    const fileHandle = await open(file);
+
+    try {
+        const { buffer, bytesRead } = await fileHandle.read(Buffer.alloc(sampleLength), 0, sampleLength, 0);
+
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await fileHandle.close();
+    }
+};
+
+/**
+ * Chooses compression of file. Automatic compression skips files with extensions of compressed
+ * formats and files whose sample saves less than 5 percent with fast gzip compression,
+ * other files are compressed with gzip.
+ *
+ * @param {string} file Path of the file.
+ * @param {object} compression Object with method and optional level of compression.
+ * @returns Returns object with method and optional level of compression.
+ */
+const chooseCompression = async (file, compression) => {
+    if (compression.method !== 'auto') {
+        return compression;
+    }
+
+    if (incompressibleExtensions.has(path.extname(file).slice(1).toLowerCase())) {
+        return { method: 'none' };
+    }
+
+    const sample = await readSample(file);
+
+    if (sample.length && gzipSync(sample, { level: 1 }).length > sample.length * (1 - minSavings)) {
+        return { method: 'none' };
+    }
+
+    return defaultCompression;
+};
+
+/**
+ * Creates transform stream to compress data.
+ *
+ * @param {object} compression Object with method and optional level of compression.
+ * @returns Returns instance of transform stream.
+ */
+const createCompressor = ({ method, level }) => {
+    switch (method) {
+        case 'none':
+            return new PassThrough();
+        case 'brotli':
+            return createBrotliCompress(level === undefined ? {} : {
+                params: { [constants.BROTLI_PARAM_QUALITY]: level }
+            });
+        default:
+            return createGzip(level === undefined ? {} : { level });
+    }
+};
+
+/**
+ * Creates transform stream to decompress data.
+ *
+ * @param {string} method String with compression method.
+ * @returns Returns instance of transform stream.
+ */
+const createDecompressor = (method) => {
+    switch (method) {
+        case 'none':
+            return new PassThrough();
+        case 'brotli':
+            return createBrotliDecompress();
+        default:
+            return createUnzip();
+    }
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    compressionMethods,
+    defaultCompression,
+    parseCompression,
+    getCompressionId,
+    chooseCompression,
+    createCompressor,
+    createDecompressor
+};
@@ -0,0 +1,139 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import fs from 'fs';
+import path from 'path';
+import { CryptDirError, NotFoundError } from './errors.mjs';
+import { isStorageUrl } from './storage.mjs';
+
+/**
+ * Contains name of config files.
+ */
+const configFileName = '.cryptdirrc.json';
+
+/**
+ * Contains key of config in package.json files.
+ */
+const packageKey = 'cryptdir';
+
+/**
+ * Contains @see Array with supported options of config files and profiles.
+ */
+const configOptions = [
+    'srcDir', 'encDir', 'archive', 'filter', 'exclude', 'include', 'followSymlinks', 'jobs', 'chunking',
+    'chunkSize', 'compression', 'keepSnapshots', 'keepDays', 'kdf', 'kdfParams', 'passwordFile', 'passwordEnv',
+    'identity', 'wait', 'debounce'
+];
+
+/**
+ * Contains @see Array with options of config files containing paths. URLs of storages are kept.
+ */
+const pathOptions = ['srcDir', 'encDir', 'archive', 'passwordFile', 'identity'];
+
+/**
+ * Reads JSON file.
+ *
+ * @param {string} file Path of the JSON file.
+ * @returns Returns object with JSON data.
+ * @throws {CryptDirError} Throws error if the file contains invalid JSON.
+ */
+const readJson = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new CryptDirError(`Invalid config file '${file}': ${err.message}`, { cause: err });
+    }
+};
+
+/**
+ * Finds config in directory or its parent directories. Files named .cryptdirrc.json
+ * take precedence over the cryptdir key of package.json files in the same directory.
+ *
+ * @param {string} dir String with path of the directory to start with.
+ * @returns Returns object with path of the file and config or undefined if none is found.
+ */
+const findConfig = (dir = process.cwd()) => {
+    for (let currDir = path.resolve(dir); ; currDir = path.dirname(currDir)) {
+        const configFile = path.join(currDir, configFileName);
+        const packageFile = path.join(currDir, 'package.json');
+
+        if (fs.existsSync(configFile)) {
+            return { file: configFile, config: readJson(configFile) };
+        }
+
+        if (fs.existsSync(packageFile)) {
+            const config = readJson(packageFile)[packageKey];
+
+            if (config) {
+                return { file: packageFile, config };
+            }
+        }
+
+        if (currDir === path.dirname(currDir)) {
+            return;
+        }
+    }
+};
+
+/**
+ * Validates options of config and resolves paths relative to the directory of the config file.
+ *
+ * @param {object} options Object with options of config or profile.
+ * @param {string} file Path of the config file.
+ * @returns Returns object with options.
+ * @throws {CryptDirError} Throws error if an option is not supported.
+ */
+const resolveOptions = (options, file) => {
+    const result = {};
+
+    for (const [key, value] of Object.entries(options)) {
+        if (!configOptions.includes(key)) {
+            throw new CryptDirError(`Unknown option '${key}' in config file '${file}'`);
+        }
+
+        result[key] = pathOptions.includes(key) && !isStorageUrl(value) ?
+            path.resolve(path.dirname(file), value) : value;
+    }
+
+    return result;
+};
+
+/**
+ * Loads options of profile. Options of profiles override the top-level options of the config.
+ * The top-level options are used if no profile is given.
+ *
+ * @param {string} profile String with name of the profile.
+ * @param {string} dir String with path of the directory to start the search of the config with.
+ * @returns Returns object with options.
+ * @throws {NotFoundError} Throws error if the config or profile is not found.
+ */
+const loadProfile = (profile, dir) => {
+    const { file, config } = findConfig(dir) || {};
+
+    if (!config) {
+        if (profile) {
+            throw new NotFoundError(`Profile '${profile}' not found, no config file exists`);
+        }
+
+        return {};
+    }
+
+    const { profiles = {}, ...options } = config;
+
+    if (profile && !Object.hasOwn(profiles, profile)) {
+        throw new NotFoundError(`Profile '${profile}' not found in config file '${file}'`);
+    }
+
+    return {
+        ...resolveOptions(options, file),
+        ...(profile ? resolveOptions(profiles[profile], file) : {})
+    };
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    findConfig,
+    loadProfile
+};
@@ -2,13 +2,32 @@
 // Licensed under the MIT license. See LICENSE in the project root for license information.
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { PassThrough, Readable, pipeline } from 'stream';
+import { EventEmitter, once } from 'events';
 import AESFileCryptor from './aesFileCryptor.mjs';
+import Chunker from './chunker.mjs';
 import FSDirectory from './fsDirectory.mjs';
+import HashWritable from './hashWritable.mjs';
+import IgnoreFilter from './ignoreFilter.mjs';
+import LockFile from './lockFile.mjs';
 import { log } from './log.mjs';
-import { calcFileHash, generatePwd, getUuid } from './cryptoUtils.mjs';
-
-class CryptDir {
+import { mapOrdered } from './asyncUtils.mjs';
+import { calcFileHash, calcHash, generatePwd, getUuid } from './cryptoUtils.mjs';
+import { chooseCompression, parseCompression } from './compression.mjs';
+import { readDirents } from './dirWalker.mjs';
+import { getTmpTargetName, writeFileAtomic } from './fsUtils.mjs';
+import { matchesGlob } from './globUtils.mjs';
+import { kdfMatches } from './kdf.mjs';
+import { getExpiredSnapshotIds, getSnapshotDate } from './snapshotUtils.mjs';
+import { createRecipient } from './recipients.mjs';
+import ArchiveStorage from './archiveStorage.mjs';
+import { createStorage } from './storage.mjs';
+import { readStreamToBuffer } from './storageUtils.mjs';
+import { CorruptDataError, MissingBlobError, NotFoundError, WrongPasswordError } from './errors.mjs';
+
+class CryptDir extends EventEmitter {
 
     /**
      * Default target directory for encryption data of @see CryptDir.
@@ -21,230 +40,1710 @@ class CryptDir {
     defaultExcludedStartStrings = ['.~lock.'];
 
     /**
-     * Instance of @see FSDirectory.
+     * Default number of newest snapshots kept by @see CryptDir.
+     */
+    defaultKeepSnapshots = 10;
+
+    /**
+     * Name of the lock file in the encrypted directory of @see CryptDir.
+     */
+    lockFileName = '.lock';
+
+    /**
+     * Default delay in milliseconds to collect changes of the source directory while watching.
+     */
+    defaultDebounce = 500;
+
+    /**
+     * Maximum size in bytes of blobs decrypted in memory by cat of @see CryptDir.
+     */
+    maxCatBufferSize = 64 * 1024 * 1024;
+
+    /**
+     * Instance of @see FSDirectory.
+     */
+    fsDirectory = new FSDirectory();
+
+    /**
+     * Storage adapter of the encrypted directory of @see CryptDir.
+     */
+    storage;
+
+    /**
+     * Private key used instead of the master password to decrypt the manifest of @see CryptDir.
+     */
+    identity;
+
+    /**
+     * Contains whether @see CryptDir waits until a lock of another process is released.
+     */
+    wait = false;
+
+    /**
+     * Contains whether @see CryptDir removes a lock of another process.
+     */
+    breakLock = false;
+
+    /**
+     * Array with changes of the current run of @see CryptDir.
+     */
+    changes = [];
+
+    /**
+     * Contains whether the current run of @see CryptDir only reports changes without writing.
+     */
+    dryRun = false;
+
+    /**
+     * Contains whether the current run of @see CryptDir ignores cached file hashes.
+     */
+    rehash = false;
+
+    /**
+     * Number of files processed concurrently in the current run of @see CryptDir.
+     */
+    jobs = 1;
+
+    /**
+     * Contains whether new files of the current run of @see CryptDir are stored in chunks.
+     */
+    chunking = false;
+
+    /**
+     * Average size of chunks in bytes of the current run of @see CryptDir.
+     */
+    chunkSize = Chunker.defaultAvgSize;
+
+    /**
+     * Compression of new blobs of the current run of @see CryptDir.
+     */
+    compression = parseCompression();
+
+    /**
+     * Map with promises of encrypted files by hash in the current run of @see CryptDir.
+     */
+    #pendingFiles = new Map();
+
+    /**
+     * Map with promises of encrypted chunks by hash in the current run of @see CryptDir.
+     */
+    #pendingChunks = new Map();
+
+    /**
+     * Map with chunks encrypted by identifier in the current run of @see CryptDir.
+     */
+    #newChunks = new Map();
+
+    /**
+     * Object with counts and byte totals of files in the current run of @see CryptDir.
+     */
+    #progress = {};
+
+    /**
+     * Map with sizes and processed bytes of started files by path in the current run of @see CryptDir.
+     */
+    #startedFiles = new Map();
+
+    /**
+     * Object with default options of the methods of @see CryptDir.
+     */
+    options = {};
+
+    /**
+     * Initializes new instance of @see CryptDir. Options equal the options of config files and
+     * are used as defaults of the options of methods, e.g. filter, exclude patterns or jobs.
+     * 
+     * Encryption and decryption emit the events scan, file:start, bytes, file:done and done
+     * with counts and byte totals of files, so that callers can follow the progress.
+     * 
+     * @param {string|object} srcDir Full path of source directory or object with options including srcDir and encDir.
+     * @param {string} encDir Full path of encrypted directory.
+     * @param {object} options Object with options including storage, archive, identity, wait and breakLock.
+     */
+    constructor(srcDir, encDir, options = {}) {
+        super();
+
+        if (typeof srcDir === 'object') {
+            ({ srcDir, encDir, ...options } = srcDir);
+        }
+
+        const { storage, archive, identity, wait, breakLock, ...methodOptions } = options;
+
+        this.srcDir = srcDir || process.cwd();
+        this.encDir = archive || encDir || path.join(this.srcDir, this.defaultEncDir);
+        this.storage = storage || (archive ? new ArchiveStorage(archive) : createStorage(this.encDir));
+        this.identity = identity;
+        this.wait = !!wait;
+        this.breakLock = !!breakLock;
+        this.options = methodOptions;
+    }
+
+    /**
+     * Validates whether the encrypted directory contains a manifest.
+     * 
+     * @returns Returns promise of true if the manifest exists.
+     */
+    hasManifest = () =>
+        this.storage.exists(this.fsDirectory.defaultFileName);
+
+    /**
+     * Processes encryption of @see CryptDir. Changed manifests are kept as snapshots
+     * by retention policy, blobs are removed once no retained snapshot references them.
+     * With option paths only the given paths of the source directory are visited,
+     * other dirents of the manifest are kept.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {object} options Object with additional options.
+     * @returns Returns array with changes of the encryption.
+     */
+    async encrypt(masterPwd, options = {}) {
+        options = this.#getOptions(options);
+
+        return options.dryRun ?
+            this.#encrypt(masterPwd, options) :
+            this.#withLock(() => this.#encrypt(masterPwd, options));
+    }
+
+    /**
+     * Processes encryption of @see CryptDir without lock.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {object} options Object with additional options.
+     * @returns Returns array with changes of the encryption.
+     */
+    async #encrypt(masterPwd, options) {
+        const kdf = this.#getKdfOptions(options);
+        const paths = options.paths?.map(direntPath =>
+            this.#getRemovedRoot(path.normalize(direntPath).replace(/[\\/]+$/, '')));
+        const currDirectory = new FSDirectory();
+        const entries = await this.#loadDecEntries(masterPwd, currDirectory);
+        const srcDirents = this.#getSrcDirents({ ...options, paths });
+
+        this.fsDirectory = new FSDirectory();
+        this.#beginRun(options);
+
+        if (srcDirents) {
+            const encDir = this.encDir;
+            const dirents = paths ? this.#getIncrementalDirents(srcDirents, entries.dirents, paths) : srcDirents;
+
+            this.#emitScan(dirents
+                .filter(dirent => !dirent.kept && dirent.type === 'file')
+                .map(dirent => dirent.stats.size));
+
+            if (dirents.length) {
+                await mapOrdered(dirents, this.jobs,
+                    async dirent => dirent.kept ? dirent : this.#prepareDirent(dirent, currDirectory),
+                    result => result.kept ?
+                        this.#keepDirent(result.kept, currDirectory) :
+                        this.#addDirent(result, currDirectory));
+
+                this.#removeObsoleteDirents(currDirectory);
+
+                this.fsDirectory.copyKeys(currDirectory, kdfMatches(currDirectory.kdf, kdf));
+
+                const changed = !this.fsDirectory.equals(entries.dirents);
+
+                if (!this.dryRun && (changed || !this.fsDirectory.cacheEquals(currDirectory.cache) ||
+                    !this.fsDirectory.kdf || !this.fsDirectory.keys)) {
+                    await this.fsDirectory.saveToFile(this.storage, masterPwd, kdf);
+
+                    await this.#saveSnapshot(changed, options);
+                }
+
+                if (!this.dryRun) {
+                    await this.#removeObsoleteBlobs(currDirectory, masterPwd, options);
+                }
+            } else if (await this.#hasEncDirents()) {
+                if (!this.dryRun) {
+                    await this.storage.clear();
+                }
+
+                this.#logDirentProc(encDir, 'directory', 'Removed');
+            }
+        }
+
+        this.#emitDone();
+
+        return this.changes;
+    }
+
+    /**
+     * Reports pending changes of encryption without writing.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {object} options Object with additional options.
+     * @returns Returns array with pending changes.
+     */
+    status = (masterPwd, options) =>
+        this.encrypt(masterPwd, { ...options, dryRun: true });
+
+    /**
+     * Watches source directory and encrypts its changes. The source directory is encrypted
+     * completely at the start, afterwards changed paths are collected for the debounce delay
+     * and encrypted incrementally. Changes of ignore files lead to a complete encryption.
+     * Failed runs are logged and their paths are encrypted again with the next change.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {object} options Object with additional options and debounce delay in milliseconds.
+     * @returns Returns object with asynchronous function close, which encrypts pending changes and stops watching.
+     */
+    async watch(masterPwd, options = {}) {
+        options = this.#getOptions(options);
+
+        const debounce = Number(options.debounce) || this.defaultDebounce;
+        const pending = new Set();
+
+        let complete = false;
+        let timer;
+        let running;
+
+        const run = async () => {
+            while (pending.size || complete) {
+                const paths = complete ? undefined : [...pending];
+
+                pending.clear();
+                complete = false;
+
+                try {
+                    await this.encrypt(masterPwd, { ...options, paths });
+                } catch (err) {
+                    log(`Failed to encrypt changes of directory '${this.srcDir}': ${err.message}`);
+
+                    paths ? paths.forEach(direntPath => pending.add(direntPath)) : complete = true;
+
+                    break;
+                }
+            }
+        };
+
+        const flush = () => running ||= run().finally(() => running = undefined);
+
+        await this.encrypt(masterPwd, options);
+
+        const watcher = fs.watch(this.srcDir, { recursive: true }, (eventType, fileName) => {
+            const relativePath = fileName && path.normalize(fileName.toString());
+
+            if (relativePath && this.#isWatchExcluded(relativePath)) {
+                return;
+            }
+
+            if (!relativePath || path.basename(relativePath) === IgnoreFilter.fileName) {
+                complete = true;
+            } else {
+                pending.add(relativePath);
+            }
+
+            clearTimeout(timer);
+            timer = setTimeout(flush, debounce);
+        });
+
+        watcher.on('error', err => err.code !== 'ENOENT' &&
+            log(`Failed to watch directory '${this.srcDir}': ${err.message}`));
+
+        log(`Watching directory '${this.srcDir}'`);
+
+        return {
+            close: async () => {
+                clearTimeout(timer);
+                watcher.close();
+
+                await flush();
+            }
+        };
+    }
+
+    /**
+     * Processes decryption of @see CryptDir. Dirents can be restricted by paths
+     * and filter, parent directories of matching dirents are restored as well.
+     * Modes, modification times and symbolic links of the manifest are restored.
+     * Dirents of the source directory missing in the manifest are removed with option prune.
+     * Snapshots are restored with option at.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {object} options Object with additional options.
+     * @returns Returns array with changes of the decryption.
+     */
+    async decrypt(masterPwd, options = {}) {
+        options = this.#getOptions(options);
+
+        const entries = await this.#loadDecEntries(masterPwd, undefined, options.at);
+        const dirents = this.#selectDirents(entries.dirents, options);
+
+        this.#beginRun(options);
+
+        this.#emitScan(dirents
+            .filter(({ fileId }) => fileId && this.fsDirectory.findFileById(fileId))
+            .map(({ path: direntPath, fileId }) => this.#getFileSize(direntPath, fileId)));
+
+        if (dirents.length) {
+            if (!this.dryRun) {
+                this.#mkdirSyncWithCheck(this.srcDir, { recursive: true });
+            }
+
+            await mapOrdered(dirents, this.jobs,
+                dirent => this.#decryptDirent(dirent),
+                result => result && this.#logDirentResult(result));
+
+            if (options.prune) {
+                await this.#pruneSrcDirents(options);
+            }
+
+            for (const dirent of [...dirents].reverse()) {
+                if (!dirent.fileId && dirent.link === undefined) {
+                    this.#restoreMetadata(path.join(this.srcDir, dirent.path), { mode: dirent.mode, mtime: dirent.mtime });
+                }
+            }
+        }
+
+        this.#emitDone();
+
+        return this.changes;
+    }
+
+    /**
+     * Lists dirents of @see CryptDir by decrypting the manifest only.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {object} options Object with path, filter, glob pattern and snapshot.
+     * @returns Returns array with objects of dirents.
+     */
+    async list(masterPwd, options = {}) {
+        const { path: basePath, filter, glob, at } = this.#getOptions(options);
+        const { dirents } = await this.#loadDecEntries(masterPwd, undefined, at);
+
+        return Promise.all(this.#filterDirents(dirents, { paths: basePath && [basePath], filter, glob })
+            .map(async ({ path: direntPath, fileId, link }) => {
+                if (link !== undefined) {
+                    return { path: direntPath, type: 'link', link };
+                }
+
+                if (!fileId) {
+                    return { path: direntPath, type: 'directory' };
+                }
+
+                const file = this.fsDirectory.findFileById(fileId);
+
+                return { path: direntPath, type: 'file', fileId, fileHash: file?.fileHash, size: await this.#getEncFileSize(file) };
+            }));
+    }
+
+    /**
+     * Decrypts single file of @see CryptDir to writable stream. The stream is not ended.
+     * Plaintext of each blob is written once it is authenticated, so that corrupt files write
+     * no data or, if chunked, only the authenticated chunks before the corrupt one.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {string} filePath String with relative path of the file.
+     * @param {object} writeStream Object with writable stream.
+     * @returns Returns true if the file was found.
+     */
+    async cat(masterPwd, filePath, writeStream) {
+        await this.#loadDecEntries(masterPwd);
+
+        const dirent = this.fsDirectory.findDirent(path.normalize(filePath));
+        const file = dirent?.fileId && this.fsDirectory.findFileById(dirent.fileId);
+
+        if (!file) {
+            log(`File '${filePath}' not found`);
+
+            return false;
+        }
+
+        for (const blobId of this.#getBlobIds(file)) {
+            const blob = file.chunks ? this.fsDirectory.findChunkById(blobId) : file;
+
+            if (!blob) {
+                throw new MissingBlobError(`Missing chunk '${blobId}' of file '${file.fileId}'`);
+            }
+
+            await this.#writeAuthenticatedBlob(blobId, blob.pwd, writeStream);
+        }
+
+        return true;
+    }
+
+    /**
+     * Lists snapshots of @see CryptDir in ascending order.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @returns Returns array with objects of snapshots.
+     */
+    async history(masterPwd) {
+        const snapshots = [];
+
+        for (const snapshotId of await this.fsDirectory.getSnapshotIds(this.storage)) {
+            const { dirents } = await this.#loadSnapshot(masterPwd, snapshotId);
+            const count = (type) => dirents.filter(dirent => this.#getDirentType(dirent) === type).length;
+
+            snapshots.push({
+                id: snapshotId,
+                date: getSnapshotDate(snapshotId).toISOString(),
+                files: count('file'),
+                directories: count('directory'),
+                links: count('link')
+            });
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Changes master password of @see CryptDir. Only the manifest and its snapshots are encrypted
+     * again, blobs of files are left untouched since they use their own passwords.
+     * 
+     * @param {string} oldPwd String with the current master password.
+     * @param {string} newPwd String with the new master password.
+     * @param {object} options Object with additional options.
+     */
+    async changePassword(oldPwd, newPwd, options = {}) {
+        await this.#withLock(() => this.#changePassword(oldPwd, newPwd, this.#getOptions(options)));
+    }
+
+    /**
+     * Changes master password of @see CryptDir without lock.
+     * 
+     * @param {string} oldPwd String with the current master password.
+     * @param {string} newPwd String with the new master password.
+     * @param {object} options Object with additional options.
+     */
+    async #changePassword(oldPwd, newPwd, options) {
+        const { dirents } = await this.#loadDecEntries(oldPwd);
+
+        if (dirents.length) {
+            const { salt, ...currKdfOptions } = this.fsDirectory.kdf || {};
+            const kdfOptions = this.#getKdfOptions(options);
+
+            this.fsDirectory.resetPasswordKey();
+
+            await this.fsDirectory.saveToFile(this.storage, newPwd,
+                Object.keys(kdfOptions).length ? kdfOptions : currKdfOptions);
+
+            await this.#rewriteSnapshots(oldPwd, newPwd, snapshot => snapshot.resetPasswordKey(this.fsDirectory.kdf));
+
+            log(`Changed password of directory '${this.encDir}'`);
+        } else {
+            log(`Invalid encrypted directory '${this.encDir}'`);
+        }
+    }
+
+    /**
+     * Adds recipient to @see CryptDir. The data keys of the manifest and its snapshots are wrapped
+     * for the public key, so that its private key can be used instead of the master password.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {string|Buffer} publicKey String or buffer with public key in PEM format.
+     * @param {string} name String with optional name of recipient.
+     * @returns Returns object with recipient or undefined if nothing was added.
+     */
+    async addRecipient(masterPwd, publicKey, name) {
+        return this.#withLock(() => this.#addRecipient(masterPwd, publicKey, name));
+    }
+
+    /**
+     * Adds recipient to @see CryptDir without lock.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {string|Buffer} publicKey String or buffer with public key in PEM format.
+     * @param {string} name String with optional name of recipient.
+     * @returns Returns object with recipient or undefined if nothing was added.
+     */
+    async #addRecipient(masterPwd, publicKey, name) {
+        const { dirents } = await this.#loadDecEntries(masterPwd);
+
+        if (!dirents.length) {
+            log(`Invalid encrypted directory '${this.encDir}'`);
+
+            return;
+        }
+
+        const recipient = createRecipient(publicKey, name);
+
+        if (!this.fsDirectory.addRecipient(recipient)) {
+            log(`Recipient '${recipient.id}' already exists`);
+
+            return;
+        }
+
+        await this.fsDirectory.saveToFile(this.storage, masterPwd);
+        await this.#rewriteSnapshots(masterPwd, masterPwd, snapshot => snapshot.addRecipient(recipient));
+
+        log(`Added recipient '${this.#getRecipientLabel(recipient)}'`);
+
+        return recipient;
+    }
+
+    /**
+     * Removes recipient of @see CryptDir. The data key of the manifest is rotated and wrapped
+     * again for the master password and the remaining recipients. Snapshots are left untouched.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {string} value String with identifier, unique prefix of identifier or name of recipient.
+     * @returns Returns object with removed recipient or undefined if not found.
+     */
+    async removeRecipient(masterPwd, value) {
+        return this.#withLock(() => this.#removeRecipient(masterPwd, value));
+    }
+
+    /**
+     * Removes recipient of @see CryptDir without lock.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {string} value String with identifier, unique prefix of identifier or name of recipient.
+     * @returns Returns object with removed recipient or undefined if not found.
+     */
+    async #removeRecipient(masterPwd, value) {
+        await this.#loadDecEntries(masterPwd);
+
+        const recipient = this.fsDirectory.findRecipient(value);
+
+        if (!recipient) {
+            log(`Recipient '${value}' not found`);
+
+            return;
+        }
+
+        this.fsDirectory.removeRecipient(recipient);
+
+        await this.fsDirectory.saveToFile(this.storage, masterPwd);
+
+        log(`Removed recipient '${this.#getRecipientLabel(recipient)}'`);
+
+        return recipient;
+    }
+
+    /**
+     * Lists recipients of @see CryptDir.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @returns Returns array with identifier, name and type of recipients.
+     */
+    async listRecipients(masterPwd) {
+        await this.#loadDecEntries(masterPwd);
+
+        return this.fsDirectory.recipients.map(({ id, name, type }) => ({ id, name, type }));
+    }
+
+    /**
+     * Verifies blobs of @see CryptDir against hashes of the manifest.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @returns Returns object with report of missing, corrupt, mismatched and orphan blobs.
+     */
+    async verify(masterPwd) {
+        const report = { files: 0, missing: [], corrupt: [], mismatched: [], orphans: [], ok: false };
+        const { dirents, files } = await this.#loadDecEntries(masterPwd);
+
+        if (!dirents.length) {
+            log(`Invalid encrypted directory '${this.encDir}'`);
+
+            return report;
+        }
+
+        for (const { path, fileId } of dirents) {
+            if (fileId && !this.fsDirectory.findFileById(fileId)) {
+                report.missing.push({ fileId, paths: [path] });
+            }
+        }
+
+        for (const file of files) {
+            const { fileId, fileHash } = file;
+            const entry = { fileId, paths: this.#getDirentPathsByFileId(fileId) };
+
+            report.files++;
+
+            if (await this.#isBlobMissing(file)) {
+                report.missing.push(entry);
+
+                continue;
+            }
+
+            const hashWritable = new HashWritable();
+
+            try {
+                await this.#decryptFileToStream(file, hashWritable);
+            } catch {
+                report.corrupt.push(entry);
+
+                continue;
+            }
+
+            if (hashWritable.digest !== fileHash) {
+                report.mismatched.push(entry);
+            }
+        }
+
+        report.orphans = await this.#getOrphanFileNames(masterPwd);
+        report.ok = !report.missing.length && !report.corrupt.length &&
+            !report.mismatched.length && !report.orphans.length;
+
+        this.#logVerifyReport(report);
+
+        return report;
+    }
+
+    /**
+     * Hashes and encrypts dirent of source directory. Files with unchanged size, modification
+     * time and inode use the cached hash unless rehashing is requested.
+     * 
+     * @param {object} dirent Object with dirent data.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @returns Returns object with relative path, type, metadata and file of dirent.
+     */
+    async #prepareDirent(dirent, currDirectory) {
+        const { name, path: direntPath, type, link, stats } = dirent;
+        const fullName = path.join(direntPath, name);
+        const relativePath = this.#getRelativePath(fullName);
+        const metadata = type === 'link' ?
+            { link, mtime: stats.mtimeMs } :
+            { mode: stats.mode & 0o7777, mtime: stats.mtimeMs };
+
+        const result = { relativePath, type, stats, metadata };
+
+        if (type === 'file') {
+            this.#startFile(relativePath, stats.size);
+
+            result.fileHash = (!this.rehash && currDirectory.getCachedHash(relativePath, stats)) ||
+                await calcFileHash(fullName);
+            result.file = await this.#getEncryptedFile(fullName, result.fileHash, stats, currDirectory);
+        }
+
+        return result;
+    }
+
+    /**
+     * Adds prepared dirent to the manifest in order of the source directory.
+     * 
+     * @param {object} result Object with relative path, type, metadata and file of dirent.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     */
+    #addDirent(result, currDirectory) {
+        const { relativePath, type, stats, metadata, fileHash, file } = result;
+
+        let fileParams = [];
+
+        if (type === 'file') {
+            const addedFile = this.fsDirectory.findFileByHash(fileHash);
+
+            this.fsDirectory.setCachedHash(relativePath, stats, fileHash);
+
+            fileParams = addedFile ? [addedFile.fileId] : [file.fileId, file];
+
+            file.chunks?.forEach(chunkId => this.fsDirectory.addChunk(
+                this.#newChunks.get(chunkId) || currDirectory.findChunkById(chunkId)));
+        }
+
+        const [fileId, newFile] = fileParams;
+
+        this.fsDirectory.addEntry(relativePath, fileId, newFile, metadata);
+
+        const proc = this.#logDirentEncryption(relativePath, type, fileId, metadata, currDirectory);
+
+        if (type === 'file') {
+            this.#finishFile(relativePath, proc ? proc.toLowerCase() : 'unchanged');
+        }
+    }
+
+    /**
+     * Adds dirent of the previous manifest unchanged to the manifest including its file,
+     * chunks and cached hash.
+     * 
+     * @param {object} dirent Object with dirent of the previous manifest.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     */
+    #keepDirent(dirent, currDirectory) {
+        const { path: direntPath, fileId, ...metadata } = dirent;
+        const file = fileId && currDirectory.findFileById(fileId);
+
+        if (currDirectory.cache[direntPath]) {
+            this.fsDirectory.cache[direntPath] = currDirectory.cache[direntPath];
+        }
+
+        if (!file) {
+            return this.fsDirectory.addEntry(direntPath, fileId, undefined, metadata);
+        }
+
+        const addedFile = this.fsDirectory.findFileByHash(file.fileHash);
+
+        file.chunks?.forEach(chunkId => this.fsDirectory.addChunk(currDirectory.findChunkById(chunkId)));
+
+        this.fsDirectory.addEntry(direntPath, addedFile?.fileId || fileId, addedFile ? undefined : file, metadata);
+    }
+
+    /**
+     * Gets dirents of incremental encryption. Dirents of the source directory on the given
+     * paths are merged with dirents of the previous manifest outside of the paths in order
+     * of the source directory. Kept dirents of the manifest are wrapped with property kept.
+     * 
+     * @param {Array} srcDirents Array with dirents of the source directory on the paths.
+     * @param {Array} dirents Array with dirents of the previous manifest.
+     * @param {Array} paths Array with relative paths of changes.
+     * @returns Returns array with dirents of the source directory and kept dirents.
+     */
+    #getIncrementalDirents(srcDirents, dirents, paths) {
+        const getName = (dirent) => dirent.kept ? path.join(this.srcDir, dirent.kept.path) : this.#getDirentFullName(dirent);
+        const srcPaths = new Set(srcDirents.map(dirent => this.#getRelativePath(this.#getDirentFullName(dirent))));
+
+        const keptDirents = dirents
+            .filter(({ path: direntPath }) => !srcPaths.has(direntPath) &&
+                !paths.some(prefix => this.#isWithinPath(direntPath, prefix)))
+            .map(dirent => ({ kept: dirent }));
+
+        return [...srcDirents, ...keptDirents].sort((a, b) => this.#compareFullNames(getName(a), getName(b)));
+    }
+
+    /**
+     * Gets encrypted file by hash. Files with equal hashes are encrypted once per run.
+     * 
+     * @param {string} fullName String with full name of source file.
+     * @param {string} fileHash String with calculated file hash.
+     * @param {fs.Stats} stats Instance of file stats.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @returns Returns promise of object with metadata of file.
+     */
+    #getEncryptedFile(fullName, fileHash, stats, currDirectory) {
+        if (!this.#pendingFiles.has(fileHash)) {
+            this.#pendingFiles.set(fileHash, this.#encryptFile(fullName, fileHash, stats, currDirectory));
+        }
+
+        return this.#pendingFiles.get(fileHash);
+    }
+
+    /**
+     * Encrypts file of source directory unless the current directory contains its hash.
+     * With chunking, files larger than the minimum chunk size are stored in chunks.
+     * 
+     * @param {string} fullName String with full name of source file.
+     * @param {string} fileHash String with calculated file hash.
+     * @param {fs.Stats} stats Instance of file stats.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @returns Returns object with metadata of file.
+     */
+    async #encryptFile(fullName, fileHash, stats, currDirectory) {
+        const file = currDirectory.findFileByHash(fileHash);
+
+        if (file) {
+            return { ...file };
+        }
+
+        const fileId = getUuid();
+        const relativePath = this.#getRelativePath(fullName);
+        const compression = this.dryRun ? undefined : await chooseCompression(fullName, this.compression);
+
+        if (this.chunking && stats.size > Chunker.getMinSize(this.chunkSize)) {
+            const chunks = this.dryRun ? [] : await this.#encryptFileChunks(fullName, compression, currDirectory);
+
+            return { fileId, fileHash, chunks };
+        }
+
+        const pwd = generatePwd();
+
+        if (!this.dryRun) {
+            const aesFileCryptor = this.#getAesFileCryptorByPwd(pwd, compression);
+
+            await aesFileCryptor.encryptFileToStorage(fullName, this.storage, fileId,
+                bytes => this.#addBytes(relativePath, bytes));
+        }
+
+        return { fileId, fileHash, pwd };
+    }
+
+    /**
+     * Splits file of source directory into content-defined chunks and encrypts new chunks.
+     * 
+     * @param {string} fullName String with full name of source file.
+     * @param {object} compression Object with compression of the file.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @returns Returns array with identifiers of chunks.
+     */
+    async #encryptFileChunks(fullName, compression, currDirectory) {
+        const chunker = pipeline(fs.createReadStream(fullName), new Chunker(this.chunkSize), () => {});
+        const relativePath = this.#getRelativePath(fullName);
+        const chunkIds = [];
+
+        for await (const buffer of chunker) {
+            const { chunkId } = await this.#getEncryptedChunk(buffer, compression, currDirectory);
+
+            chunkIds.push(chunkId);
+
+            this.#addBytes(relativePath, buffer.length);
+        }
+
+        return chunkIds;
+    }
+
+    /**
+     * Gets encrypted chunk by hash. Chunks with equal hashes are encrypted once per run.
+     * 
+     * @param {Buffer} buffer Buffer object with data of chunk.
+     * @param {object} compression Object with compression of the file.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @returns Returns promise of object with metadata of chunk.
+     */
+    #getEncryptedChunk(buffer, compression, currDirectory) {
+        const chunkHash = calcHash(buffer);
+
+        if (!this.#pendingChunks.has(chunkHash)) {
+            this.#pendingChunks.set(chunkHash, this.#encryptChunk(buffer, chunkHash, compression, currDirectory));
+        }
+
+        return this.#pendingChunks.get(chunkHash);
+    }
+
+    /**
+     * Encrypts chunk unless the current directory contains its hash.
+     * 
+     * @param {Buffer} buffer Buffer object with data of chunk.
+     * @param {string} chunkHash String with calculated chunk hash.
+     * @param {object} compression Object with compression of the file.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @returns Returns object with metadata of chunk.
+     */
+    async #encryptChunk(buffer, chunkHash, compression, currDirectory) {
+        const existing = currDirectory.findChunkByHash(chunkHash);
+
+        if (existing) {
+            return existing;
+        }
+
+        const chunk = { chunkId: getUuid(), chunkHash, pwd: generatePwd(), size: buffer.length };
+        const aesFileCryptor = this.#getAesFileCryptorByPwd(chunk.pwd, compression);
+
+        await aesFileCryptor.encryptStreamToStorage(Readable.from([buffer]), this.storage, chunk.chunkId);
+
+        this.#newChunks.set(chunk.chunkId, chunk);
+
+        return chunk;
+    }
+
+    /**
+     * Logs message of dirent encryption. Changes of modification times only are not logged.
+     * 
+     * @param {string} path String with the dirent path.
+     * @param {string} type String with type of dirent.
+     * @param {string} fileId String with identifier of file.
+     * @param {object} metadata Object with mode, modification time and link target.
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @returns Returns string with name of logged process or undefined if unchanged.
+     */
+    #logDirentEncryption(path, type, fileId, metadata, currDirectory) {
+        const dirent = currDirectory.findDirent(path);
+        const { link, mode } = metadata;
+
+        if (!dirent || dirent.fileId !== fileId || dirent.link !== link ||
+            (dirent.mode !== undefined && dirent.mode !== mode)) {
+            const proc = !dirent ? 'Added' : 'Updated';
+
+            this.#logDirentProc(path, type, proc);
+
+            return proc;
+        }
+    }
+
+    /**
+     * Removes obsolete dirents of current directory.
+     * 
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     */
+    #removeObsoleteDirents(currDirectory) {
+        const dirents = this.fsDirectory.getObsoleteDirents(currDirectory);
+
+        this.fsDirectory.removed = currDirectory.removed
+            .filter(({ path }) => !this.fsDirectory.findDirent(path));
+
+        for (const dirent of dirents) {
+            const { path, fileId, link } = dirent;
+
+            if (!this.fsDirectory.findDirent(path)) {
+                if (fileId) {
+                    this.fsDirectory.addRemovedEntry(path, { fileHash: currDirectory.findFileById(fileId)?.fileHash });
+                } else if (link !== undefined) {
+                    this.fsDirectory.addRemovedEntry(path, { link });
+                }
+            }
+
+            if (!fileId || !this.fsDirectory.findDirent(path)) {
+                this.#logDirentProc(path, this.#getDirentType(dirent), 'Removed');
+
+                if (fileId) {
+                    this.#finishFile(path, 'removed');
+                }
+            }
+        }
+    }
+
+    /**
+     * Saves snapshot of the manifest if it changed or no snapshot exists yet.
+     * 
+     * @param {boolean} changed Contains whether dirents of the manifest changed.
+     * @param {object} options Object with retention policy.
+     */
+    async #saveSnapshot(changed, options) {
+        const { keepSnapshots, keepDays } = this.#getRetention(options);
+
+        if ((keepSnapshots > 0 || keepDays > 0) &&
+            (changed || !(await this.fsDirectory.getSnapshotIds(this.storage)).length)) {
+            log(`Created snapshot '${await this.fsDirectory.saveSnapshot(this.storage)}'`);
+        }
+    }
+
+    /**
+     * Removes expired snapshots and blobs of files and chunks which are neither
+     * referenced by the manifest nor by retained snapshots. Candidates are the blobs
+     * of the previous manifest and of expired snapshots.
+     * 
+     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @param {string} masterPwd String with the master password.
+     * @param {object} options Object with retention policy.
+     */
+    async #removeObsoleteBlobs(currDirectory, masterPwd, options) {
+        const snapshotIds = await this.fsDirectory.getSnapshotIds(this.storage);
+        const expiredIds = getExpiredSnapshotIds(snapshotIds, this.#getRetention(options));
+        const blobIds = new Set([
+            ...currDirectory.getBlobIds(),
+            ...await this.#getSnapshotBlobIds(masterPwd, expiredIds)
+        ]);
+
+        for (const snapshotId of expiredIds) {
+            await this.fsDirectory.removeSnapshot(this.storage, snapshotId);
+
+            log(`Removed snapshot '${snapshotId}'`);
+        }
+
+        this.fsDirectory.getBlobIds().forEach(blobId => blobIds.delete(blobId));
+
+        if (blobIds.size) {
+            const retainedIds = snapshotIds.filter(snapshotId => !expiredIds.includes(snapshotId));
+
+            (await this.#getSnapshotBlobIds(masterPwd, retainedIds)).forEach(blobId => blobIds.delete(blobId));
+        }
+
+        for (const blobId of blobIds) {
+            await this.storage.delete(blobId);
+        }
+    }
+
+    /**
+     * Loads all snapshots, updates them and saves them afterwards. Snapshots are only
+     * written if all of them could be decrypted.
+     * 
+     * @param {string} masterPwd String with the master password of the snapshots.
+     * @param {string} newPwd String with the master password to save snapshots.
+     * @param {function} update Function to update instance of snapshot.
+     */
+    async #rewriteSnapshots(masterPwd, newPwd, update) {
+        const snapshots = [];
+
+        for (const snapshotId of await this.fsDirectory.getSnapshotIds(this.storage)) {
+            snapshots.push({ snapshotId, snapshot: await this.#loadSnapshot(masterPwd, snapshotId) });
+        }
+
+        for (const { snapshotId, snapshot } of snapshots) {
+            update(snapshot);
+
+            await snapshot.saveToFile(this.storage, newPwd, undefined, snapshotId);
+        }
+    }
+
+    /**
+     * Gets identifiers of blobs referenced by snapshots.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @param {Array} snapshotIds Array with identifiers of snapshots.
+     * @returns Returns set with identifiers of blobs.
+     */
+    async #getSnapshotBlobIds(masterPwd, snapshotIds) {
+        const blobIds = new Set();
+
+        for (const snapshotId of snapshotIds) {
+            (await this.#loadSnapshot(masterPwd, snapshotId)).getBlobIds().forEach(blobId => blobIds.add(blobId));
+        }
+
+        return blobIds;
+    }
+
+    /**
+     * Removes dirents of source directory which are not part of the manifest. Files and links are
+     * only removed if they equal their last known state of the manifest or if removal is forced.
+     * Directories are only removed if they are empty.
+     * 
+     * @param {object} options Object with additional options.
+     */
+    async #pruneSrcDirents(options) {
+        const { paths, force } = options;
+        const srcDirents = this.#getSrcDirents(options) || [];
+        const relativePaths = srcDirents.map(dirent => this.#getRelativePath(this.#getDirentFullName(dirent)));
+        const selected = this.#filterDirents(relativePaths.map(path => ({ path })), { paths });
+        const removedPaths = new Set();
+
+        for (const { path: relativePath } of selected.reverse()) {
+            const { type, link } = srcDirents[relativePaths.indexOf(relativePath)];
+            const fullName = path.join(this.srcDir, relativePath);
+
+            if (this.fsDirectory.findDirent(relativePath)) {
+                continue;
+            }
+
+            if (type === 'directory') {
+                const children = fs.readdirSync(fullName).filter(name => !removedPaths.has(path.join(relativePath, name)));
+
+                if (children.length) {
+                    continue;
+                }
+            } else if (!force && !await this.#isRemovedUnchanged(relativePath, fullName, type, link)) {
+                log(`Kept ${type} '${relativePath}' with local changes, use --force to remove`);
+
+                continue;
+            }
+
+            if (!this.dryRun) {
+                fs.rmSync(fullName, { recursive: type === 'directory' });
+            }
+
+            removedPaths.add(relativePath);
+
+            this.#logDirentProc(relativePath, type, 'Removed');
+
+            if (type === 'file') {
+                this.#finishFile(relativePath, 'removed');
+            }
+        }
+    }
+
+    /**
+     * Validates whether dirent of source directory equals its last known state before removal.
+     * 
+     * @param {string} relativePath String with relative path of dirent.
+     * @param {string} fullName String with full name of dirent.
+     * @param {string} type String with type of dirent.
+     * @param {string} link String with target of symbolic link.
+     * @returns Returns true if dirent is unchanged.
+     */
+    async #isRemovedUnchanged(relativePath, fullName, type, link) {
+        const entry = this.fsDirectory.findRemovedEntry(relativePath);
+
+        if (!entry) {
+            return false;
+        }
+
+        return type === 'link' ?
+            entry.link === link :
+            entry.fileHash !== undefined && entry.fileHash === await calcFileHash(fullName);
+    }
+
+    /**
+     * Decrypts dirent of encrypted directory. Directories and links are created before
+     * the first asynchronous operation, so that tasks started later find their parents.
+     * Modes of directories are restored after decryption of all dirents.
+     * 
+     * @param {object} dirent Object with dirent of the manifest.
+     * @returns Returns object with result of dirent process or undefined if unchanged.
+     */
+    async #decryptDirent(dirent) {
+        const { path: direntPath, fileId, link } = dirent;
+        const fullName = path.join(this.srcDir, direntPath);
+        const relativePath = this.#getRelativePath(fullName);
+
+        if (!this.#isInsideSrcDir(fullName)) {
+            return { message: `Skipped dirent '${relativePath}' outside of source directory` };
+        }
+
+        const type = this.#getDirentType(dirent);
+        const exists = this.#prepareDirentTarget(fullName, type);
+
+        if (exists === null) {
+            return { message: `Skipped ${type} '${relativePath}' because a directory exists` };
+        }
+
+        if (fileId) {
+            const file = this.fsDirectory.findFileById(fileId);
+
+            if (file) {
+                this.#startFile(relativePath, this.#getFileSize(direntPath, fileId));
+
+                const result = await this.#decryptFile(file, exists, fullName, relativePath);
+
+                const status = { Created: 'added', Overwritten: 'updated' }[result?.proc];
+
+                this.#restoreMetadata(fullName, dirent);
+                this.#finishFile(relativePath, status || 'unchanged');
+
+                return result;
+            }
+        } else if (link !== undefined) {
+            return this.#restoreLink(fullName, relativePath, dirent, exists);
+        } else {
+            if (!exists && !this.dryRun) {
+                fs.mkdirSync(fullName);
+            } else if (exists && !this.dryRun) {
+                this.#makeDirWritable(fullName);
+            }
+
+            if (!exists) {
+                return { path: relativePath, type: 'directory', proc: 'Created' };
+            }
+        }
+    }
+
+    /**
+     * Decrypts file of encrypted directory. Existing files are replaced atomically
+     * and left untouched if decryption fails.
+     * 
+     * @param {object} file Object with metadata of file.
+     * @param {boolean} exists Contains whether file exists.
+     * @param {string} fullName String with full name of target file.
+     * @param {string} relativePath String with relative path of file.
+     * @returns Returns object with result of file process or undefined if unchanged.
+     */
+    async #decryptFile(file, exists, fullName, relativePath) {
+        if (!exists || file.fileHash !== await calcFileHash(fullName)) {
+            const result = { path: relativePath, type: 'file', proc: exists ? 'Overwritten' : 'Created' };
+
+            if (!this.dryRun) {
+                await writeFileAtomic(fullName, writeStream => this.#decryptFileToStream(file, writeStream,
+                    bytes => this.#addBytes(relativePath, bytes)));
+
+                result.message = `Decrypted file '${relativePath}'`;
+            }
+
+            return result;
+        }
+    }
+
+    /**
+     * Decrypts blob or chunks of file to writable stream. The stream is ended afterwards
+     * and destroyed on failure.
+     * 
+     * @param {object} file Object with metadata of file.
+     * @param {object} writeStream Object with writable stream.
+     * @param {Function} onData Optional function called with the number of decrypted bytes.
+     * @throws {MissingBlobError} Throws error if a blob or chunk is missing.
+     * @throws {CorruptDataError} Throws error if a blob is corrupt.
+     */
+    async #decryptFileToStream(file, writeStream, onData) {
+        try {
+            if (!file.chunks && !onData) {
+                return await this.#decryptBlobToStream(file.fileId, file.pwd, writeStream);
+            }
+
+            for (const chunkId of file.chunks || [file.fileId]) {
+                const chunk = file.chunks ? this.fsDirectory.findChunkById(chunkId) : file;
+
+                if (!chunk) {
+                    throw new MissingBlobError(`Missing chunk '${chunkId}' of file '${file.fileId}'`);
+                }
+
+                const passThrough = new PassThrough();
+
+                passThrough.pipe(writeStream, { end: false });
+
+                if (onData) {
+                    passThrough.on('data', data => onData(data.length));
+                }
+
+                await Promise.all([
+                    once(passThrough, 'end'),
+                    this.#decryptBlobToStream(chunkId, chunk.pwd, passThrough)
+                ]);
+            }
+
+            const finished = once(writeStream, 'finish');
+
+            writeStream.end();
+
+            await finished;
+        } catch (err) {
+            writeStream.destroy();
+
+            throw err;
+        }
+    }
+
+    /**
+     * Decrypts blob of file or chunk to writable stream. Blobs use passwords of the manifest,
+     * so that failed authentication is reported as corrupt data.
+     * 
+     * @param {string} blobId String with identifier of blob.
+     * @param {string} pwd String with password of blob.
+     * @param {object} writeStream Object with writable stream.
+     */
+    async #decryptBlobToStream(blobId, pwd, writeStream) {
+        const aesFileCryptor = this.#getAesFileCryptorByPwd(pwd);
+
+        try {
+            await aesFileCryptor.decryptBlobToStream(this.storage, blobId, writeStream);
+        } catch (err) {
+            throw err instanceof WrongPasswordError ?
+                new CorruptDataError(`Corrupt blob '${blobId}'`, { cause: err }) : err;
+        }
+    }
+
+    /**
+     * Decrypts blob completely before its plaintext is written to writable stream. Blobs larger
+     * than the maximum buffer size are decrypted to a temporary file, which is removed afterwards.
+     * 
+     * @param {string} blobId String with identifier of blob.
+     * @param {string} pwd String with password of blob.
+     * @param {object} writeStream Object with writable stream, which is not ended.
+     */
+    async #writeAuthenticatedBlob(blobId, pwd, writeStream) {
+        const { size = 0 } = await this.storage.stat(blobId) || {};
+
+        const write = async (chunks) => {
+            for await (const chunk of chunks) {
+                if (!writeStream.write(chunk)) {
+                    await once(writeStream, 'drain');
+                }
+            }
+        };
+
+        if (size <= this.maxCatBufferSize) {
+            const passThrough = new PassThrough();
+
+            const [data] = await Promise.all([
+                readStreamToBuffer(passThrough),
+                this.#decryptBlobToStream(blobId, pwd, passThrough)
+            ]);
+
+            return write([data]);
+        }
+
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptdir-'));
+        const tmpFile = path.join(tmpDir, blobId);
+        const tmpStream = fs.createWriteStream(tmpFile, { flags: 'wx', mode: 0o600 });
+
+        try {
+            await this.#decryptBlobToStream(blobId, pwd, tmpStream);
+            await write(fs.createReadStream(tmpFile));
+        } finally {
+            tmpStream.destroy();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Restores symbolic link of encrypted directory.
+     * 
+     * @param {string} fullName String with full name of target link.
+     * @param {string} relativePath String with relative path of link.
+     * @param {object} dirent Object with dirent of the manifest.
+     * @param {boolean} exists Contains whether link exists with any target.
+     * @returns Returns object with result of link process or undefined if unchanged.
+     */
+    #restoreLink(fullName, relativePath, dirent, exists) {
+        const { link, mtime } = dirent;
+
+        if (exists && fs.readlinkSync(fullName) === link) {
+            return;
+        }
+
+        if (!this.dryRun) {
+            if (exists) {
+                fs.unlinkSync(fullName);
+            }
+
+            fs.symlinkSync(link, fullName);
+
+            this.#restoreMetadata(fullName, { mtime }, true);
+        }
+
+        return { path: relativePath, type: 'link', proc: exists ? 'Overwritten' : 'Created' };
+    }
+
+    /**
+     * Adds permissions of the owner to existing directory, so that its children can be written.
+     * The mode of the manifest is restored afterwards.
+     * 
+     * @param {string} fullName String with full name of the directory.
      */
-    fsDirectory = new FSDirectory();
+    #makeDirWritable(fullName) {
+        const { mode } = fs.statSync(fullName);
+
+        if ((mode & 0o700) !== 0o700) {
+            fs.chmodSync(fullName, (mode & 0o7777) | 0o700);
+        }
+    }
 
     /**
-     * Initializes new instance of @see CryptDir.
+     * Restores mode and modification time of dirent.
      * 
-     * @param {string} srcDir Full path of source directory.
-     * @param {string} encDir Full path of encrypted directory.
+     * @param {string} fullName String with full name of dirent.
+     * @param {object} metadata Object with mode and modification time.
+     * @param {boolean} isLink Contains whether dirent is symbolic link.
      */
-    constructor(srcDir, encDir) {
-        this.srcDir = srcDir;
-        this.encDir = encDir || path.join(srcDir, this.defaultEncDir);
+    #restoreMetadata(fullName, metadata, isLink) {
+        const { mode, mtime } = metadata;
+
+        let stats;
+
+        try {
+            stats = !this.dryRun && fs.lstatSync(fullName);
+        } catch {
+            return;
+        }
+
+        if (!stats) {
+            return;
+        }
+
+        if (mode !== undefined && !isLink && (stats.mode & 0o7777) !== mode) {
+            fs.chmodSync(fullName, mode);
+        }
+
+        if (mtime !== undefined && stats.mtimeMs !== mtime) {
+            const date = new Date(mtime);
+
+            (isLink ? fs.lutimesSync : fs.utimesSync)(fullName, date, date);
+        }
     }
 
     /**
-     * Processes encryption of @see CryptDir.
+     * Removes existing dirent of source directory if its type differs from the manifest.
+     * Existing directories are kept.
      * 
-     * @param {string} masterPwd String with the master password.
-     * @param {object} options Object with additional options.
+     * @param {string} fullName String with full name of dirent.
+     * @param {string} type String with type of dirent of the manifest.
+     * @returns Returns whether dirent of the same type exists or null if a directory is in the way.
      */
-    async encrypt(masterPwd, options) {
-        const { filter } = options;
-        const currDirectory = new FSDirectory();
-        const entries = await this.#loadDecEntries(masterPwd, currDirectory);
-        const srcDirents = this.#getSrcDirents(filter);
+    #prepareDirentTarget(fullName, type) {
+        let stats;
 
-        if (srcDirents) {
-            const encDir = this.encDir;
+        try {
+            stats = fs.lstatSync(fullName);
+        } catch {
+            return false;
+        }
 
-            if (srcDirents.length) {
-                this.#mkdirSyncWithCheck(encDir);
+        const isLink = stats.isSymbolicLink();
+        const isDir = stats.isDirectory();
 
-                for (const dirent of srcDirents) {
-                    await this.#encryptDirent(dirent, currDirectory);
-                }
+        if ((type === 'link') === isLink && (type === 'directory') === isDir) {
+            return true;
+        }
 
-                this.#removeObsoleteDirents(currDirectory);
+        if (isDir) {
+            return null;
+        }
 
-                if (!this.fsDirectory.equals(entries.dirents)) {
-                    await this.fsDirectory.saveToFile(encDir, masterPwd);
-                }
-            } else if (this.#rmSyncRecWithCheck(encDir)) {
-                log(`Removed directory '${encDir}'`);
-            }
+        if (!this.dryRun) {
+            fs.unlinkSync(fullName);
         }
+
+        return false;
     }
 
     /**
-     * Processes decryption of @see CryptDir.
+     * Validates whether parent directory of dirent resolves inside of source directory.
      * 
-     * @param {string} masterPwd String with the master password.
+     * @param {string} fullName String with full name of dirent.
+     * @returns Returns true if dirent is inside of source directory.
      */
-    async decrypt(masterPwd) {
-        const { dirents } = await this.#loadDecEntries(masterPwd);
+    #isInsideSrcDir(fullName) {
+        const srcDir = path.resolve(this.srcDir);
+        const resolve = (dir) => fs.existsSync(dir) ? fs.realpathSync(dir) : path.resolve(dir);
+        const parentDir = resolve(path.dirname(fullName));
+        const realSrcDir = resolve(srcDir);
+
+        return path.resolve(fullName).startsWith(srcDir + path.sep) &&
+            (parentDir === realSrcDir || parentDir.startsWith(realSrcDir + path.sep));
+    }
 
-        if (dirents.length) {
-            this.#mkdirSyncWithCheck(this.srcDir, { recursive: true });
+    /**
+     * Gets file names of encrypted directory which are neither referenced by the manifest nor by snapshots.
+     * 
+     * @param {string} masterPwd String with the master password.
+     * @returns Returns array with file names.
+     */
+    async #getOrphanFileNames(masterPwd) {
+        const { defaultFileName } = this.fsDirectory;
+        const snapshotIds = await this.fsDirectory.getSnapshotIds(this.storage);
+        const snapshotBlobIds = await this.#getSnapshotBlobIds(masterPwd, snapshotIds);
+        const blobIds = this.fsDirectory.getBlobIds();
+        const fileNames = new Set([defaultFileName, this.lockFileName, ...snapshotIds.map(snapshotId => `${defaultFileName}.${snapshotId}`)]);
+
+        return (await this.storage.list())
+            .filter(name => !fileNames.has(name) && !this.#isLockName(name) &&
+                !blobIds.has(name) && !snapshotBlobIds.has(name))
+            .sort();
+    }
 
-            for (const dirent of dirents) {
-                const { path: direntPath, fileId } = dirent;
-                const fullName = path.join(this.srcDir, direntPath);
-                const relativePath = this.#getRelativePath(fullName);
-                const exists = fs.existsSync(fullName);
+    /**
+     * Gets paths of dirents by file identifier.
+     * 
+     * @param {string} fileId String with identifier of file.
+     * @returns Returns array with paths.
+     */
+    #getDirentPathsByFileId = (fileId) => this.fsDirectory.dirents
+        .filter(dirent => dirent.fileId === fileId)
+        .map(({ path }) => path);
 
-                if (fileId) {
-                    const file = this.fsDirectory.findFileById(fileId);
+    /**
+     * Outputs report of verification to logger.
+     * 
+     * @param {object} report Object with report of verification.
+     */
+    #logVerifyReport(report) {
+        const { files, missing, corrupt, mismatched, orphans, ok } = report;
+        const getPaths = ({ paths }) => paths.map(path => `'${path}'`).join(', ');
 
-                    if (file) {
-                        await this.#decryptFile(file, exists, fullName, relativePath);
-                    }
-                } else if (!exists) {
-                    fs.mkdirSync(fullName);
+        missing.forEach(entry => log(`Missing blob '${entry.fileId}' of ${getPaths(entry)}`));
+        corrupt.forEach(entry => log(`Corrupt blob '${entry.fileId}' of ${getPaths(entry)}`));
+        mismatched.forEach(entry => log(`Hash mismatch of blob '${entry.fileId}' of ${getPaths(entry)}`));
+        orphans.forEach(name => log(`Orphan file '${name}'`));
 
-                    log(`Created directory '${relativePath}'`);
-                }
-            }
-        }
+        log(`Verified ${files} files of directory '${this.encDir}': ${ok ? 'healthy' : 'damaged'}`);
     }
 
     /**
-     * Encrypts dirent of source directory.
+     * Gets identifiers of blobs of file. Files stored in chunks consist of the blobs of their chunks.
      * 
-     * @param {object} dirent Object with dirent data.
-     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @param {object} file Object with metadata of file.
+     * @returns Returns array with identifiers of blobs.
      */
-    async #encryptDirent(dirent, currDirectory) {
-        const { name, path: direntPath } = dirent;
-        const fullName = path.join(direntPath, name);
-        const relativePath = this.#getRelativePath(fullName);
-        const isDirectory = dirent.isDirectory();
+    #getBlobIds = ({ fileId, chunks }) => chunks || [fileId];
 
-        let fileParams = [];
+    /**
+     * Gets type of dirent of the manifest.
+     * 
+     * @param {object} dirent Object with dirent of the manifest.
+     * @returns Returns string with type of dirent.
+     */
+    #getDirentType = ({ fileId, link }) =>
+        fileId ? 'file' : link !== undefined ? 'link' : 'directory';
 
-        if (!isDirectory) {
-            fileParams = await this.#encryptFile(fullName, currDirectory);
-        }
+    /**
+     * Gets options of key derivation function by algorithm and cost parameters.
+     * 
+     * @param {object} options Object with additional options.
+     * @returns Returns object with algorithm and cost parameters.
+     */
+    #getKdfOptions = ({ kdf, kdfParams }) => ({
+        ...(kdf ? { algorithm: kdf } : {}),
+        ...kdfParams
+    });
 
-        this.fsDirectory.addEntry(relativePath, ...fileParams);
+    /**
+     * Loads dirents and files of @see FSDirectory.
+     * 
+     * @param {string} masterPwd String with the master password of the directory file.
+     * @param {FSDirectory} fsDirectory Instance of current directory.
+     * @param {string} at String with identifier or unique prefix of snapshot.
+     * @returns Returns object with dirents and files.
+     */
+    #loadDecEntries = async (masterPwd, fsDirectory = this.fsDirectory, at) => {
+        fsDirectory.identity = this.identity;
 
-        this.#logDirentEncryption(relativePath, isDirectory, fileParams, currDirectory);
-    }
+        return fsDirectory.loadEntries(this.storage, masterPwd, at && await this.#findSnapshotId(at));
+    };
 
     /**
-     * Encrypts file of source directory.
+     * Loads snapshot into new instance of @see FSDirectory.
      * 
-     * @param {string} fullName String with full name of source file.
-     * @param {FSDirectory} currDirectory Instance of current directory.
-     * @returns Returns array with file identifier and object with metadata.
+     * @param {string} masterPwd String with the master password.
+     * @param {string} snapshotId String with identifier of snapshot.
+     * @returns Returns instance of @see FSDirectory.
      */
-    async #encryptFile(fullName, currDirectory) {
-        const fileHash = await calcFileHash(fullName);
-        const file = this.fsDirectory.findFileByHash(fileHash);
+    #loadSnapshot = async (masterPwd, snapshotId) => {
+        const snapshot = new FSDirectory();
 
-        if (!file) {
-            const { exists, fileId, pwd } = this.#getFileData(currDirectory, fileHash);
+        snapshot.identity = this.identity;
 
-            if (!exists) {
-                const aesFileCryptor = this.#getAesFileCryptorByPwd(pwd);
+        await snapshot.loadEntries(this.storage, masterPwd, snapshotId);
 
-                await aesFileCryptor.encryptFileToFile(fullName, this.#getEncFilePath(fileId));
-            }
+        return snapshot;
+    };
+
+    /**
+     * Finds identifier of snapshot by identifier or unique prefix.
+     * 
+     * @param {string} at String with identifier or unique prefix of snapshot.
+     * @returns Returns string with identifier of snapshot.
+     */
+    async #findSnapshotId(at) {
+        const snapshotIds = (await this.fsDirectory.getSnapshotIds(this.storage))
+            .filter(snapshotId => snapshotId.startsWith(at));
 
-            return [fileId, { fileId, fileHash, pwd }];
+        if (snapshotIds.length !== 1) {
+            throw new NotFoundError(`${snapshotIds.length ? 'Ambiguous' : 'Unknown'} snapshot '${at}'`);
         }
 
-        return [file.fileId];
+        return snapshotIds[0];
     }
 
     /**
-     * Logs message of dirent encryption.
+     * Gets label of recipient by name and identifier.
      * 
-     * @param {string} path String with the dirent path.
-     * @param {boolean} isDir Contains whether dirent is directory.
-     * @param {Array} fileParams Array with file parameters.
-     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @param {object} recipient Object with identifier and name of recipient.
+     * @returns Returns string with label of recipient.
      */
-    #logDirentEncryption(path, isDir, fileParams, currDirectory) {
-        const fileId = fileParams[0];
-        const dirent = currDirectory.findDirent(path);
+    #getRecipientLabel = ({ id, name }) => name ? `${name} (${id})` : id;
 
-        if (!dirent || dirent.fileId !== fileId) {
-            this.#logDirentProc(path, isDir, !dirent ? 'Added' : 'Updated');
-        }
-    }
+    /**
+     * Gets retention policy of snapshots.
+     * 
+     * @param {object} options Object with additional options.
+     * @returns Returns object with number of snapshots and days to keep.
+     */
+    #getRetention = ({ keepSnapshots, keepDays }) => ({
+        keepSnapshots: keepSnapshots ?? this.defaultKeepSnapshots,
+        keepDays
+    });
 
     /**
-     * Removes obsolete dirents of current directory.
+     * Filters dirents by paths, regular expression and glob pattern.
+     * Paths match the dirent itself and all of its children.
      * 
-     * @param {FSDirectory} currDirectory Instance of current directory.
+     * @param {Array} dirents Array with objects of dirents.
+     * @param {object} options Object with paths, filter and glob pattern.
+     * @returns Returns array with matching dirents.
      */
-    #removeObsoleteDirents(currDirectory) {
-        const dirents = this.fsDirectory.getObsoleteDirents(currDirectory);
+    #filterDirents(dirents, { paths, filter, glob }) {
+        const prefixes = paths?.map(direntPath => path.normalize(direntPath).replace(/[\\/]+$/, ''));
 
-        for (const dirent of dirents) {
-            const { path, fileId } = dirent;
-            const isDir = !fileId;
+        return dirents.filter(({ path: direntPath }) =>
+            (!prefixes?.length || prefixes.some(prefix => this.#isWithinPath(direntPath, prefix))) &&
+            (!filter || new RegExp(filter).test(direntPath)) &&
+            (!glob || matchesGlob(direntPath, glob)));
+    }
 
-            if (fileId && !this.fsDirectory.findFileById(fileId)) {
-                const fullName = this.#getEncFilePath(fileId);
+    /**
+     * Validates whether relative path equals path prefix or is one of its children.
+     * 
+     * @param {string} direntPath String with relative path of dirent.
+     * @param {string} prefix String with relative path prefix.
+     * @returns Returns true if path is within the prefix.
+     */
+    #isWithinPath = (direntPath, prefix) =>
+        prefix === '.' || direntPath === prefix || direntPath.startsWith(prefix + path.sep);
 
-                this.#rmSyncWithCheck(fullName);
-            }
+    /**
+     * Gets topmost parent directory of path which no longer exists in the source directory,
+     * so that removed directories are visited by incremental encryption.
+     * 
+     * @param {string} direntPath String with relative path of dirent.
+     * @returns Returns string with relative path of the topmost removed directory or the path itself.
+     */
+    #getRemovedRoot(direntPath) {
+        let result = direntPath;
 
-            if (isDir || !this.fsDirectory.findDirent(path)) {
-                this.#logDirentProc(path, isDir, 'Removed');
-            }
+        for (let parent = path.dirname(result); parent !== '.' &&
+            !fs.existsSync(path.join(this.srcDir, parent)); parent = path.dirname(parent)) {
+            result = parent;
         }
+
+        return result;
     }
 
     /**
-     * Decrypts file of encrypted directory.
+     * Validates whether full name belongs to the encrypted directory. Sidecar files of archives,
+     * e.g. vault.cda.lock, and their hidden temporary files are part of the encrypted directory.
      * 
-     * @param {object} file Object with metadata of file.
-     * @param {boolean} exists Contains whether file exists.
-     * @param {string} fullName String with full name of target file.
-     * @param {string} relativePath String with relative path of file.
+     * @param {string} fullName String with full name of dirent.
+     * @returns Returns true if dirent belongs to the encrypted directory.
      */
-    async #decryptFile(file, exists, fullName, relativePath) {
-        const { fileId, pwd, fileHash } = file;
+    #isEncDirent = (fullName) => {
+        const file = path.resolve(fullName);
+        const encDir = path.resolve(this.encDir);
 
-        if (!exists || fileHash !== await calcFileHash(fullName)) {
-            const aesFileCryptor = this.#getAesFileCryptorByPwd(pwd);
-
-            await aesFileCryptor.decryptFileToFile(this.#getEncFilePath(fileId), fullName);
+        if (file === encDir || file.startsWith(encDir + path.sep)) {
+            return true;
+        }
 
-            log(`Decrypted file '${relativePath}'`);
+        if (!(this.storage instanceof ArchiveStorage) || path.dirname(file) !== path.dirname(encDir)) {
+            return false;
         }
+
+        const name = getTmpTargetName(path.basename(file)) ?? path.basename(file);
+
+        return name === path.basename(encDir) || this.#isLockName(name, path.basename(encDir) + this.lockFileName);
+    };
+
+    /**
+     * Validates whether changed path of the source directory is not watched. Paths of
+     * the encrypted directory and with excluded start strings are skipped.
+     * 
+     * @param {string} direntPath String with relative path of dirent.
+     * @returns Returns true if path is excluded.
+     */
+    #isWatchExcluded(direntPath) {
+        const fullName = path.join(this.srcDir, direntPath);
+
+        return this.#isEncDirent(fullName) ||
+            direntPath.split(path.sep).some(name =>
+                this.defaultExcludedStartStrings.some(startStr => name.startsWith(startStr)));
     }
 
     /**
-     * Gets identifier and password for file encryption.
+     * Compares full names of dirents in order of the source directory.
      * 
-     * @param {FSDirectory} currDirectory Instance of current directory.
-     * @param {string} fileHash String with calculated file hash.
-     * @returns Returns object with file data.
+     * @param {string} a String with full name of first dirent.
+     * @param {string} b String with full name of second dirent.
+     * @returns Returns number with result of comparison.
      */
-    #getFileData(currDirectory, fileHash) {
-        const file = currDirectory?.findFileByHash(fileHash);
+    #compareFullNames = (a, b) => a.localeCompare(b, undefined, {
+        numeric: true,
+        sensitivity: 'base'
+    });
 
-        if (file) {
-            return { exists: true, ...file };
+    /**
+     * Selects dirents by paths and filter including parent directories of matching dirents.
+     * 
+     * @param {Array} dirents Array with objects of dirents.
+     * @param {object} options Object with paths and filter.
+     * @returns Returns array with selected dirents in original order.
+     */
+    #selectDirents(dirents, options) {
+        const { paths, filter } = options;
+
+        if (!paths?.length && !filter) {
+            return dirents;
+        }
+
+        const selected = new Set();
+
+        for (const { path: direntPath } of this.#filterDirents(dirents, { paths, filter })) {
+            const parts = direntPath.split(path.sep);
+
+            parts.forEach((_, index) => selected.add(parts.slice(0, index + 1).join(path.sep)));
         }
 
-        return { fileId: getUuid(), pwd: generatePwd() };
+        return dirents.filter(({ path: direntPath }) => selected.has(direntPath));
     }
 
     /**
-     * Loads dirents and files of @see FSDirectory.
+     * Validates whether blob of file or any of its chunks is missing.
      * 
-     * @param {string} masterPwd String with the master password of the directory file.
-     * @param {FSDirectory} fsDirectory Instance of current directory.
-     * @returns Returns object with dirents and files.
+     * @param {object} file Object with metadata of file.
+     * @returns Returns true if a blob is missing.
      */
-    #loadDecEntries = async (masterPwd, fsDirectory) =>
-        (fsDirectory || this.fsDirectory).loadEntries(this.encDir, masterPwd);
+    async #isBlobMissing(file) {
+        for (const blobId of this.#getBlobIds(file)) {
+            if ((file.chunks && !this.fsDirectory.findChunkById(blobId)) || !await this.storage.exists(blobId)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
 
     /**
-     * Gets string with full path of encrypted file by identifier.
+     * Gets size of encrypted file including all of its chunks.
      * 
-     * @param {string} fileId String with file identifier.
-     * @returns Returns string with full path.
+     * @param {object} file Object with metadata of file.
+     * @returns Returns number with size in bytes or undefined if file or blob is missing.
      */
-    #getEncFilePath = (fileId) => path.join(this.encDir, fileId);
+    async #getEncFileSize(file) {
+        if (!file || await this.#isBlobMissing(file)) {
+            return;
+        }
+
+        let size = 0;
+
+        for (const blobId of this.#getBlobIds(file)) {
+            size += (await this.storage.stat(blobId)).size;
+        }
+
+        return size;
+    }
 
     /**
      * Gets string with relative path by source directory and full name of dirent.
@@ -296,24 +1795,31 @@ class CryptDir {
     };
 
     /**
-     * Gets dirents of source directory.
+     * Gets dirents of source directory. The encrypted directory and dirents ignored by
+     * ignore files or patterns are not visited. With paths only the paths, their children
+     * and their parent directories are visited.
      * 
-     * @param {string} filter String with filter as regular expression pattern.
+     * @param {object} options Object with filter, exclude and include patterns, paths and whether symbolic links are followed.
      * @returns Returns array with dirents of source directory.
      */
-    #getSrcDirents(filter) {
+    #getSrcDirents({ filter, exclude, include, followSymlinks, paths }) {
         const getName = this.#getDirentFullName;
 
         if (this.#isValidSrcDir()) {
-            const dirents = fs.readdirSync(this.srcDir, { recursive: true, withFileTypes: true })
-                .sort((a, b) => getName(a).localeCompare(getName(b), undefined, {
-                    numeric: true,
-                    sensitivity: 'base'
-                }));
+            const ignoreFilter = new IgnoreFilter(this.srcDir, { exclude, include });
+            const prefixes = paths?.map(direntPath => path.normalize(direntPath).replace(/[\\/]+$/, ''));
+
+            const isOnPaths = (direntPath) => !prefixes?.length || prefixes.some(prefix =>
+                this.#isWithinPath(direntPath, prefix) || this.#isWithinPath(prefix, direntPath));
 
-            return dirents.filter(dirent =>
-                !getName(dirent).startsWith(this.encDir) &&
-                this.#filterDirentByName(dirent, filter))
+            const dirents = readDirents(this.srcDir, {
+                followSymlinks,
+                filter: dirent => !this.#isEncDirent(getName(dirent)) &&
+                    isOnPaths(this.#getRelativePath(getName(dirent))) &&
+                    !ignoreFilter.isIgnored(getName(dirent), dirent.type === 'directory')
+            }).sort((a, b) => this.#compareFullNames(getName(a), getName(b)));
+
+            return dirents.filter(dirent => this.#filterDirentByName(dirent, filter));
         }
     }
 
@@ -348,59 +1854,251 @@ class CryptDir {
     }
 
     /**
-     * Removes file or directory by path and options.
+     * Validates whether the encrypted directory contains dirents besides the lock file.
      * 
-     * @param {string} path String with the full path.
-     * @param {object} options Object with additional options.
-     * @returns Returns undefined.
+     * @returns Returns true if dirents exist.
      */
-    #rmSync = (path, options) =>
-        fs.rmSync(path, options);
+    #hasEncDirents = async () =>
+        (await this.storage.list()).some(name => !this.#isLockName(name));
 
     /**
-     * Removes file or directory by path and options after validation.
+     * Validates whether object of storage is the lock file or a marker of its removal.
      * 
-     * @param {string} path String with the full path.
-     * @param {object} options Object with additional options.
-     * @returns Returns true if removal succeeded.
+     * Markers are named by the lock file and hashes of owners, e.g. .lock.0123456789abcdef.
+     * 
+     * @param {string} name String with name of the object.
+     * @param {string} lockFileName String with optional name of the lock file.
+     * @returns Returns true if the object belongs to the lock.
      */
-    #rmSyncWithCheck = (path, options) => {
-        if (fs.existsSync(path)) {
-            this.#rmSync(path, options);
-
-            return true;
-        }
-    }
+    #isLockName = (name, lockFileName = this.lockFileName) => name.startsWith(lockFileName) &&
+        /^(\.[0-9a-f]{16})*$/.test(name.slice(lockFileName.length));
 
     /**
-     * Removes directory and children by path after validation.
+     * Runs function while holding the lock file of the encrypted directory. Storages staging
+     * writes, e.g. archives, are committed on success and rolled back on failure. Storages
+     * created by @see CryptDir and left empty, e.g. directories created for the lock, are
+     * cleared afterwards. Empty directories of the user are kept.
      * 
-     * @param {string} path String with the full path.
-     * @returns Returns true if removal succeeded.
+     * @param {Function} fn Asynchronous function to run.
+     * @returns Returns result of the function.
      */
-    #rmSyncRecWithCheck = (path) =>
-        this.#rmSyncWithCheck(path, { recursive: true, force: true });
+    async #withLock(fn) {
+        const lockFile = new LockFile(this.storage, this.lockFileName);
+
+        await lockFile.acquire({ wait: this.wait, breakLock: this.breakLock });
+
+        try {
+            const result = await fn();
+
+            await this.storage.commit?.();
+
+            return result;
+        } catch (err) {
+            await this.storage.rollback?.();
+
+            throw err;
+        } finally {
+            await lockFile.release();
+
+            if (this.storage.created && !(await this.storage.list()).length) {
+                await this.storage.clear();
+            }
+        }
+    }
 
     /**
      * Gets instance of @see AESFileCryptor by password.
      * 
      * @param {string} pwd String with password for encryption or decryption.
+     * @param {object} compression Object with compression of new blobs.
      * @returns Returns instance of @see AESFileCryptor.
      */
-    #getAesFileCryptorByPwd = (pwd) => new AESFileCryptor(pwd);
+    #getAesFileCryptorByPwd = (pwd, compression) => new AESFileCryptor(pwd, undefined, compression);
+
+    /**
+     * Gets options of method merged with default options of @see CryptDir.
+     * Undefined options of the method do not override default options.
+     * 
+     * @param {object} options Object with options of the method.
+     * @returns Returns object with merged options.
+     */
+    #getOptions = (options) => ({
+        ...this.options,
+        ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+    });
+
+    /**
+     * Resets changes and mode of the current run.
+     * 
+     * @param {object} options Object with additional options.
+     */
+    #beginRun = ({ dryRun, rehash, jobs, chunking, chunkSize, compression }) => {
+        this.changes = [];
+        this.dryRun = !!dryRun;
+        this.rehash = !!rehash;
+        this.jobs = Math.max(1, Number(jobs) || 1);
+        this.chunking = !!chunking;
+        this.chunkSize = Number(chunkSize) || Chunker.defaultAvgSize;
+        this.compression = parseCompression(compression);
+        this.#pendingFiles = new Map();
+        this.#pendingChunks = new Map();
+        this.#newChunks = new Map();
+        this.#progress = { files: 0, bytes: 0, processedFiles: 0, processedBytes: 0 };
+        this.#startedFiles = new Map();
+    };
+
+    /**
+     * Emits event scan with number and total size of files of the current run.
+     * 
+     * @param {Array} sizes Array with sizes of files in bytes.
+     */
+    #emitScan = (sizes) => {
+        this.#progress.files = sizes.length;
+        this.#progress.bytes = sizes.reduce((sum, size) => sum + size, 0);
+
+        this.emit('scan', { files: this.#progress.files, bytes: this.#progress.bytes });
+    };
+
+    /**
+     * Emits event file:start and tracks processed bytes of the file.
+     * 
+     * @param {string} path String with relative path of file.
+     * @param {number} size Number with size of file in bytes.
+     */
+    #startFile = (path, size) => {
+        this.#startedFiles.set(path, { size, bytes: 0 });
+
+        this.emit('file:start', { path, size });
+    };
+
+    /**
+     * Emits event bytes with processed bytes of file and totals of the current run.
+     * 
+     * @param {string} path String with relative path of file.
+     * @param {number} bytes Number of processed bytes.
+     */
+    #addBytes = (path, bytes) => {
+        const file = this.#startedFiles.get(path);
+
+        if (file) {
+            file.bytes += bytes;
+        }
+
+        this.#progress.processedBytes += bytes;
+
+        this.emit('bytes', {
+            path,
+            bytes,
+            processedBytes: this.#progress.processedBytes,
+            totalBytes: this.#progress.bytes
+        });
+    };
+
+    /**
+     * Emits event file:done with status of file. Remaining bytes of started files,
+     * e.g. of unchanged files, are added as processed bytes before.
+     * 
+     * @param {string} path String with relative path of file.
+     * @param {string} status String with status of file, e.g. added, updated, removed or unchanged.
+     */
+    #finishFile = (path, status) => {
+        const file = this.#startedFiles.get(path);
+
+        if (file) {
+            if (file.size > file.bytes) {
+                this.#addBytes(path, file.size - file.bytes);
+            }
+
+            this.#startedFiles.delete(path);
+            this.#progress.processedFiles++;
+        }
+
+        this.#progress[status] = (this.#progress[status] || 0) + 1;
+
+        this.emit('file:done', {
+            path,
+            status,
+            size: file?.size,
+            processedFiles: this.#progress.processedFiles,
+            totalFiles: this.#progress.files
+        });
+    };
+
+    /**
+     * Emits event done with counts of files by status and totals of the current run.
+     */
+    #emitDone = () => {
+        const { processedFiles, processedBytes, added = 0, updated = 0, removed = 0, unchanged = 0 } = this.#progress;
+
+        this.emit('done', { files: processedFiles, bytes: processedBytes, added, updated, removed, unchanged });
+    };
+
+    /**
+     * Gets size of file of the manifest by sizes of its chunks or by the cache of file hashes.
+     * 
+     * @param {string} direntPath String with relative path of dirent.
+     * @param {string} fileId String with identifier of file.
+     * @returns Returns number with size in bytes or zero if unknown.
+     */
+    #getFileSize(direntPath, fileId) {
+        const file = this.fsDirectory.findFileById(fileId);
+
+        if (file?.chunks) {
+            return file.chunks.reduce((sum, chunkId) => sum + (this.fsDirectory.findChunkById(chunkId)?.size || 0), 0);
+        }
+
+        return this.fsDirectory.cache[direntPath]?.size || 0;
+    }
+
+    /**
+     * Adds change of dirent to the current run.
+     * 
+     * @param {string} path String with relative path of dirent.
+     * @param {string} type String with type of dirent.
+     * @param {string} proc String with name of process.
+     */
+    #addChange = (path, type, proc) => {
+        this.changes.push({ action: proc.toLowerCase(), type, path });
+    };
 
     /**
-     * Outputs message of dirent process to logger.
+     * Outputs message of dirent process to logger and adds change to the current run.
      * 
      * @param {string} path String with relative path of dirent.
-     * @param {boolean} isDir Contains whether dirent is directory.
+     * @param {string} type String with type of dirent.
      * @param {string} proc String with name of process.
      */
-    #logDirentProc = (path, isDir, proc) => {
-        log(`${proc} ${isDir ? 'directory' : 'file'} '${path}'`);
+    #logDirentProc = (path, type, proc) =>
+        this.#logDirentResult({ path, type, proc });
+
+    /**
+     * Outputs result of dirent process to logger and adds change to the current run.
+     * Results with custom message only are logged without change.
+     * 
+     * @param {object} result Object with path, type, name of process and optional message.
+     */
+    #logDirentResult = ({ path, type, proc, message }) => {
+        if (proc) {
+            this.#addChange(path, type, proc);
+        }
+
+        log(message || `${this.dryRun ? '(dry run) ' : ''}${proc} ${type} '${path}'`);
     };
 }
 
+/**
+ * Exports error classes of @see CryptDir.
+ */
+export { CryptDirError, WrongPasswordError, CorruptDataError, MissingBlobError, NotFoundError, LockError } from './errors.mjs';
+
+/**
+ * Exports storage adapters of @see CryptDir.
+ */
+export { default as ArchiveStorage } from './archiveStorage.mjs';
+export { default as FSStorage } from './fsStorage.mjs';
+export { default as MemoryStorage } from './memoryStorage.mjs';
+export { default as S3Storage } from './s3Storage.mjs';
+
 /**
  * Exports @see CryptDir as default class.
  */
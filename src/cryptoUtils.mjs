@@ -27,11 +27,23 @@ const calcFileHash = (fileName, algorithm = 'sha256') =>
             stream.on('data', data => hashSum.update(data));
             
             stream.on('end', () => resolve(hashSum.digest('hex')));
+
+            stream.on('error', reject);
         } catch {
             reject();
         }
     });
 
+/**
+ * Generates a fixed-size hash value of buffer.
+ * 
+ * @param {Buffer} buffer Buffer object with data.
+ * @param {string} algorithm Cryptographic function to calculate hash.
+ * @returns Returns string with calculated hash.
+ */
+const calcHash = (buffer, algorithm = 'sha256') =>
+    createHash(algorithm).update(buffer).digest('hex');
+
 /**
  * Generates random password by parameters.
  * 
@@ -65,6 +77,7 @@ const getNilUuid = () => getUuid(NIL_UUID);
  */
 export {
     calcFileHash,
+    calcHash,
     generatePwd,
     getUuid,
     getNilUuid
@@ -0,0 +1,83 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Gets type of dirent by file stats.
+ *
+ * @param {fs.Stats} stats Instance of file stats.
+ * @returns Returns string with type of dirent.
+ */
+const getDirentType = (stats) => {
+    if (stats.isSymbolicLink()) return 'link';
+    if (stats.isDirectory()) return 'directory';
+    if (stats.isFile()) return 'file';
+};
+
+/**
+ * Reads dirents of directory recursively. Symbolic links are returned as links
+ * or followed to their targets. Links to parent directories are skipped.
+ *
+ * @param {string} dir String with full path of the directory.
+ * @param {object} options Object with options of the walker.
+ * @param {boolean} options.followSymlinks Contains whether symbolic links are followed.
+ * @param {function} options.filter Function to validate whether dirent and its children are included.
+ * @returns Returns array with objects of dirents.
+ */
+const readDirents = (dir, options = {}) => {
+    const { followSymlinks, filter } = options;
+    const result = [];
+
+    const walk = (currDir, parents) => {
+        for (const name of fs.readdirSync(currDir)) {
+            const fullName = path.join(currDir, name);
+
+            let stats = fs.lstatSync(fullName);
+
+            if (followSymlinks && stats.isSymbolicLink()) {
+                try {
+                    stats = fs.statSync(fullName);
+                } catch {
+                    continue;
+                }
+            }
+
+            const dirent = { name, path: currDir, type: getDirentType(stats), stats };
+
+            if (!dirent.type || (filter && !filter(dirent))) {
+                continue;
+            }
+
+            if (dirent.type === 'link') {
+                dirent.link = fs.readlinkSync(fullName);
+            }
+
+            if (dirent.type === 'directory') {
+                const realPath = fs.realpathSync(fullName);
+
+                if (parents.includes(realPath)) {
+                    continue;
+                }
+
+                result.push(dirent);
+
+                walk(fullName, [...parents, realPath]);
+            } else {
+                result.push(dirent);
+            }
+        }
+    };
+
+    walk(dir, [fs.realpathSync(dir)]);
+
+    return result;
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    readDirents
+};
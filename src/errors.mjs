@@ -0,0 +1,59 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+/**
+ * Base class of errors thrown by @see CryptDir.
+ */
+class CryptDirError extends Error {
+
+    /**
+     * Initializes new instance of @see CryptDirError.
+     *
+     * @param {string} message String with the error message.
+     * @param {object} options Object with cause of the error.
+     */
+    constructor(message, options) {
+        super(message, options);
+
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Error of incorrect passwords or identities. Blobs which fail authentication with the
+ * password of the caller are reported with this error, since wrong keys and tampered
+ * data cannot be distinguished.
+ */
+class WrongPasswordError extends CryptDirError {}
+
+/**
+ * Error of blobs or manifests with corrupt or tampered data.
+ */
+class CorruptDataError extends CryptDirError {}
+
+/**
+ * Error of blobs missing in the encrypted directory.
+ */
+class MissingBlobError extends CryptDirError {}
+
+/**
+ * Error of missing source files, snapshots or recipients.
+ */
+class NotFoundError extends CryptDirError {}
+
+/**
+ * Error of encrypted directories locked by another process.
+ */
+class LockError extends CryptDirError {}
+
+/**
+ * Exports error classes.
+ */
+export {
+    CryptDirError,
+    WrongPasswordError,
+    CorruptDataError,
+    MissingBlobError,
+    NotFoundError,
+    LockError
+};
@@ -1,9 +1,14 @@
 // Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
 // Licensed under the MIT license. See LICENSE in the project root for license information.
 
-import path from 'path';
 import AESFileCryptor from './aesFileCryptor.mjs';
 import { getNilUuid } from './cryptoUtils.mjs';
+import { createKdfParams, deriveKey } from './kdf.mjs';
+import { CorruptDataError, CryptDirError, WrongPasswordError } from './errors.mjs';
+import { log } from './log.mjs';
+import { createManifestHeader, readManifestHeader } from './manifestHeader.mjs';
+import { createDataKey, unwrapKey, unwrapKeyWithIdentity, wrapKey, wrapKeyForRecipient } from './recipients.mjs';
+import { createSnapshotId, isSnapshotId } from './snapshotUtils.mjs';
 
 class FSDirectory {
 
@@ -22,6 +27,53 @@ class FSDirectory {
      */
     files = [];
 
+    /**
+     * Array with chunks of files stored in chunks of @see FSDirectory.
+     */
+    chunks = [];
+
+    /**
+     * Array with last known hashes and link targets of dirents removed from @see FSDirectory.
+     */
+    removed = [];
+
+    /**
+     * Number of days removed dirents are kept in @see FSDirectory.
+     */
+    removedRetentionDays = 90;
+
+    /**
+     * Object with file hashes of @see FSDirectory by relative path, size, modification time and inode.
+     */
+    cache = {};
+
+    /**
+     * Object with parameters of key derivation function of @see FSDirectory.
+     * Contains undefined for new or legacy unsalted manifests.
+     */
+    kdf;
+
+    /**
+     * Object with data key of @see FSDirectory wrapped by password and recipients.
+     * Contains undefined if keys have to be wrapped again.
+     */
+    keys;
+
+    /**
+     * Array with recipients of @see FSDirectory.
+     */
+    recipients = [];
+
+    /**
+     * Private key used instead of the password to unwrap the data key of @see FSDirectory.
+     */
+    identity;
+
+    /**
+     * Buffer with data key of the manifest.
+     */
+    #dataKey;
+
     /**
      * Gets object with dirents and files of @see FSDirectory.
      * 
@@ -29,7 +81,10 @@ class FSDirectory {
      */
     getEntries = () => ({
         dirents: this.dirents,
-        files: this.files
+        files: this.files,
+        chunks: this.chunks,
+        removed: this.removed,
+        cache: this.cache
     });
 
     /**
@@ -52,6 +107,41 @@ class FSDirectory {
     equals = (dirents) =>
         JSON.stringify(dirents) === JSON.stringify(this.dirents);
 
+    /**
+     * Compares whether cache of file hashes is equal.
+     *
+     * @param {object} cache Object with cached file hashes.
+     * @returns Returns whether caches are equal.
+     */
+    cacheEquals = (cache) =>
+        JSON.stringify(cache) === JSON.stringify(this.cache);
+
+    /**
+     * Gets cached file hash if size, modification time and inode of the file are unchanged.
+     * 
+     * @param {string} path String with relative path of file.
+     * @param {fs.Stats} stats Instance of file stats.
+     * @returns Returns string with file hash or undefined.
+     */
+    getCachedHash(path, stats) {
+        const entry = this.cache[path];
+
+        if (entry && entry.size === stats.size && entry.mtime === stats.mtimeMs && entry.ino === stats.ino) {
+            return entry.fileHash;
+        }
+    }
+
+    /**
+     * Sets cached file hash by size, modification time and inode of the file.
+     * 
+     * @param {string} path String with relative path of file.
+     * @param {fs.Stats} stats Instance of file stats.
+     * @param {string} fileHash String with the file hash.
+     */
+    setCachedHash(path, stats, fileHash) {
+        this.cache[path] = { size: stats.size, mtime: stats.mtimeMs, ino: stats.ino, fileHash };
+    }
+
     /**
      * Finds dirents by path.
      * 
@@ -66,15 +156,35 @@ class FSDirectory {
      * @param {string} path String with relative path of dirent.
      * @param {string} fileId String with identifier of file.
      * @param {object} file Object with metadata of file.
+     * @param {object} metadata Object with mode, modification time and link target of dirent.
      */
-    addEntry(path, fileId, file) {
-        this.dirents.push({ path, ...(fileId ? { fileId } : {}) });
+    addEntry(path, fileId, file, metadata) {
+        this.dirents.push({ path, ...(fileId ? { fileId } : {}), ...metadata });
 
         if (file) {
             this.files.push(file);
         }
     }
 
+    /**
+     * Adds removed dirent with time of removal to list of @see FSDirectory. Previous entries of the path are replaced.
+     * 
+     * @param {string} path String with relative path of dirent.
+     * @param {object} data Object with file hash or link target.
+     */
+    addRemovedEntry(path, data) {
+        this.removed = this.removed.filter(entry => entry.path !== path);
+        this.removed.push({ path, ...data, removedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Finds removed dirent by path.
+     * 
+     * @param {string} path String with dirent path.
+     * @returns Returns instance of removed dirent.
+     */
+    findRemovedEntry = (path) => this.removed.find(entry => entry.path === path);
+
     /**
      * Finds file by object key.
      * 
@@ -104,49 +214,328 @@ class FSDirectory {
         this.findFileByKey('fileHash', fileHash);
 
     /**
-     * Loads dirents and files of @see FSDirectory.
+     * Adds chunk to list of @see FSDirectory unless it already exists.
+     * 
+     * @param {object} chunk Object with metadata of chunk.
+     */
+    addChunk(chunk) {
+        if (chunk && !this.findChunkById(chunk.chunkId)) {
+            this.chunks.push(chunk);
+        }
+    }
+
+    /**
+     * Finds chunk by identifier.
      * 
-     * @param {string} encDir String with encryption directory.
+     * @param {string} chunkId String with identifier of chunk.
+     * @returns Returns instance of chunk.
+     */
+    findChunkById = (chunkId) =>
+        this.chunks.find(chunk => chunk.chunkId === chunkId);
+
+    /**
+     * Finds chunk by hash.
+     * 
+     * @param {string} chunkHash String with the chunk hash.
+     * @returns Returns instance of chunk.
+     */
+    findChunkByHash = (chunkHash) =>
+        this.chunks.find(chunk => chunk.chunkHash === chunkHash);
+
+    /**
+     * Gets identifiers of blobs referenced by @see FSDirectory. Files stored in
+     * chunks have no blob of their own.
+     * 
+     * @returns Returns set with identifiers of blobs.
+     */
+    getBlobIds = () => new Set([
+        ...this.files.filter(file => !file.chunks).map(({ fileId }) => fileId),
+        ...this.chunks.map(({ chunkId }) => chunkId)
+    ]);
+
+    /**
+     * Loads dirents and files of @see FSDirectory. Missing manifests result in empty entries.
+     * Parameters of key derivation function, wrapped keys and recipients of the header are
+     * taken over once the manifest is decrypted. Recipients of headers before version 3
+     * are not authenticated and thus ignored, so that the data key is not wrapped for them again.
+     * 
+     * @param {object} storage Object with storage adapter of encryption directory.
      * @param {string} pwd String with password for decryption.
+     * @param {string} snapshotId String with identifier of snapshot to load instead of the manifest.
      * @returns Returns object with dirents and files.
+     * @throws {WrongPasswordError} Throws error if password or identity is incorrect.
+     * @throws {CorruptDataError} Throws error if the manifest is corrupt.
      */
-    async loadEntries(encDir, pwd) {
-        const [aesFileCryptor, srcFile] =
-            this.#getAesFileCryptorAndFile(encDir, pwd);
+    async loadEntries(storage, pwd, snapshotId) {
+        const fileName = this.#getFileName(snapshotId);
+        const srcFile = storage.getLocation(fileName);
+        const { header, length, buffer } = await readManifestHeader(storage, fileName) || {};
+        const { kdf, keys } = header || {};
 
-        const entries = await aesFileCryptor.decryptFileToJson(srcFile);
+        this.kdf = undefined;
+        this.keys = undefined;
+        this.recipients = [];
+        this.#dataKey = undefined;
+
+        if (!await storage.exists(fileName)) {
+            return this.getEntries();
+        }
+
+        const loadKey = await this.#getLoadKey(pwd, srcFile, kdf, keys);
+        const aesFileCryptor = new AESFileCryptor(loadKey);
+
+        let entries;
+
+        try {
+            entries = await aesFileCryptor.decryptBlobToJson(storage, fileName, length, buffer);
+        } catch (err) {
+            throw keys && err instanceof WrongPasswordError ?
+                new CorruptDataError(`Corrupt data in '${srcFile}'`, { cause: err }) : err;
+        }
 
         for (const key in entries) {
             this[key] = entries[key];
         }
 
+        if (keys?.recipients?.length && !buffer) {
+            log(`Ignored recipients of manifest '${srcFile}' with unauthenticated header, add them again`);
+        }
+
+        this.kdf = kdf;
+        this.keys = keys && (buffer ? keys : { ...keys, recipients: [] });
+        this.recipients = this.keys?.recipients?.map(({ wrap, ...recipient }) => recipient) || [];
+        this.#dataKey = keys && loadKey;
+
         return this.getEntries();
     }
 
     /**
-     * Saves dirents and files to file.
+     * Saves dirents and files to file. Parameters of key derivation function
+     * are created with random salt if the manifest has none. Dirents are encrypted
+     * with a random data key wrapped by password and recipients. The file is replaced atomically.
+     * Entries of removed dirents are pruned before the manifest is saved.
      * 
-     * @param {string} encDir String with encryption directory.
+     * @param {object} storage Object with storage adapter of encryption directory.
      * @param {string} pwd String with password for encryption.
+     * @param {object} kdfOptions Object with algorithm and cost parameters of key derivation function.
+     * @param {string} snapshotId String with identifier of snapshot to save instead of the manifest.
      */
-    async saveToFile(encDir, pwd) {
+    async saveToFile(storage, pwd, kdfOptions, snapshotId) {
         if (this.dirents.length) {
-            const [aesFileCryptor, tgtFile] =
-            this.#getAesFileCryptorAndFile(encDir, pwd);
+            if (!snapshotId) {
+                this.#pruneRemovedEntries();
+            }
+
+            this.kdf ||= createKdfParams(kdfOptions);
 
-            await aesFileCryptor.encryptJsonToFile(this.getEntries(), tgtFile);
+            if (!this.#dataKey) {
+                this.#dataKey = createDataKey();
+                this.keys = undefined;
+            }
+
+            this.keys ||= await this.#createKeys(pwd);
+
+            const aesFileCryptor = new AESFileCryptor(this.#dataKey);
+            const header = createManifestHeader({ kdf: this.kdf, keys: this.keys });
+
+            await aesFileCryptor.encryptJsonToStorage(this.getEntries(), storage, this.#getFileName(snapshotId), header);
+        }
+    }
+
+    /**
+     * Removes entries of removed dirents, which were added again or are older than the retention.
+     * Entries of manifests without time of removal are kept from now on.
+     */
+    #pruneRemovedEntries() {
+        const now = new Date();
+        const minTime = now.getTime() - this.removedRetentionDays * 24 * 60 * 60 * 1000;
+        const paths = new Set(this.dirents.map(dirent => dirent.path));
+
+        this.removed = this.removed
+            .filter(({ path, removedAt }) => !paths.has(path) && !(Date.parse(removedAt) < minTime))
+            .map(entry => ({ ...entry, removedAt: entry.removedAt ?? now.toISOString() }));
+    }
+
+    /**
+     * Takes over data key, recipients and wrapped keys of another instance. Keys wrapped
+     * by password are only taken over with equal parameters of key derivation function.
+     * 
+     * @param {FSDirectory} directory Instance of @see FSDirectory.
+     * @param {boolean} sameKdf Contains whether parameters of key derivation function are kept.
+     */
+    copyKeys(directory, sameKdf) {
+        this.#dataKey = directory.#dataKey;
+        this.recipients = directory.recipients;
+
+        if (sameKdf) {
+            this.kdf = directory.kdf;
+            this.keys = directory.keys;
+        }
+    }
+
+    /**
+     * Resets parameters of key derivation function, so that the data key is wrapped
+     * by the password again on the next save.
+     * 
+     * @param {object} kdf Object with parameters of key derivation function.
+     */
+    resetPasswordKey(kdf) {
+        this.kdf = kdf;
+        this.keys = undefined;
+    }
+
+    /**
+     * Adds recipient and wraps the data key for its public key.
+     * 
+     * @param {object} recipient Object with identifier, name, type and public key of recipient.
+     * @returns Returns false if the recipient already exists.
+     */
+    addRecipient(recipient) {
+        if (this.findRecipient(recipient.id)) {
+            return false;
         }
+
+        this.recipients = [...this.recipients, recipient];
+
+        if (this.keys && this.#dataKey) {
+            this.keys = {
+                ...this.keys,
+                recipients: [...this.keys.recipients, { ...recipient, wrap: wrapKeyForRecipient(this.#dataKey, recipient) }]
+            };
+        }
+
+        return true;
+    }
+
+    /**
+     * Removes recipient and rotates the data key, so that the recipient
+     * cannot decrypt future versions of the manifest.
+     * 
+     * @param {object} recipient Object with identifier of recipient.
+     */
+    removeRecipient(recipient) {
+        this.recipients = this.recipients.filter(({ id }) => id !== recipient.id);
+        this.#dataKey = undefined;
+        this.keys = undefined;
+    }
+
+    /**
+     * Finds recipient by identifier, unique prefix of identifier or name.
+     * 
+     * @param {string} value String with identifier or name of recipient.
+     * @returns Returns instance of recipient.
+     */
+    findRecipient(value) {
+        const recipients = this.recipients.filter(({ id, name }) => name === value || id.startsWith(value));
+
+        return recipients.length === 1 ? recipients[0] : undefined;
+    }
+
+    /**
+     * Saves copy of the manifest file as snapshot. Identifiers of snapshots
+     * are based on the current time.
+     * 
+     * @param {object} storage Object with storage adapter of encryption directory.
+     * @returns Returns string with identifier of snapshot.
+     */
+    async saveSnapshot(storage) {
+        let date = new Date();
+
+        while (await storage.exists(this.#getFileName(createSnapshotId(date)))) {
+            date = new Date(date.getTime() + 1);
+        }
+
+        const snapshotId = createSnapshotId(date);
+
+        await storage.put(this.#getFileName(snapshotId), await storage.get(this.#getFileName()));
+
+        return snapshotId;
+    }
+
+    /**
+     * Gets identifiers of snapshots in encryption directory.
+     * 
+     * @param {object} storage Object with storage adapter of encryption directory.
+     * @returns Returns array with identifiers of snapshots in ascending order.
+     */
+    async getSnapshotIds(storage) {
+        const prefix = this.defaultFileName + '.';
+
+        return (await storage.list(prefix))
+            .filter(name => name.startsWith(prefix) && isSnapshotId(name.slice(prefix.length)))
+            .map(name => name.slice(prefix.length))
+            .sort();
+    }
+
+    /**
+     * Removes snapshot from encryption directory.
+     * 
+     * @param {object} storage Object with storage adapter of encryption directory.
+     * @param {string} snapshotId String with identifier of snapshot.
+     */
+    removeSnapshot = (storage, snapshotId) =>
+        storage.delete(this.#getFileName(snapshotId));
+
+    /**
+     * Gets key to decrypt the manifest. The data key is unwrapped by identity or password.
+     * Manifests without wrapped keys use the derived key or the password hash of legacy manifests.
+     * 
+     * @param {string} pwd String with password for decryption.
+     * @param {string} srcFile String with location of the manifest file.
+     * @param {object} kdf Object with parameters of key derivation function of the header.
+     * @param {object} keys Object with wrapped keys of the header.
+     * @returns Returns buffer with key or string with password.
+     */
+    async #getLoadKey(pwd, srcFile, kdf, keys) {
+        if (!keys) {
+            if (this.identity) {
+                throw new WrongPasswordError(`No recipients in '${srcFile}'`);
+            }
+
+            return kdf ? deriveKey(pwd, kdf) : pwd;
+        }
+
+        if (this.identity) {
+            return unwrapKeyWithIdentity(keys.recipients, this.identity);
+        }
+
+        const passwordKey = await deriveKey(pwd, kdf);
+
+        try {
+            return unwrapKey(keys.password, passwordKey);
+        } catch {
+            throw new WrongPasswordError(`Incorrect password or corrupt data in '${srcFile}'`);
+        }
+    }
+
+    /**
+     * Wraps data key by password and public keys of recipients.
+     * 
+     * @param {string} pwd String with password for encryption.
+     * @returns Returns object with wrapped keys.
+     */
+    async #createKeys(pwd) {
+        if (pwd === undefined) {
+            throw new CryptDirError('Password required to wrap the data key');
+        }
+
+        return {
+            password: wrapKey(this.#dataKey, await deriveKey(pwd, this.kdf)),
+            recipients: this.recipients.map(recipient => ({
+                ...recipient,
+                wrap: wrapKeyForRecipient(this.#dataKey, recipient)
+            }))
+        };
     }
 
     /**
-     * Gets instance of @see AESFileCryptor and master file name.
+     * Gets master file name of encryption directory or file name of snapshot.
      * 
-     * @param {string} encDir String with encryption directory.
-     * @param {string} pwd String with password for encryption or decryption.
-     * @returns Returns array with two values.
+     * @param {string} snapshotId String with identifier of snapshot.
+     * @returns Returns string with name of master file.
      */
-    #getAesFileCryptorAndFile = (encDir, pwd) =>
-        [new AESFileCryptor(pwd), path.join(encDir, this.defaultFileName)];
+    #getFileName = (snapshotId) =>
+        snapshotId ? `${this.defaultFileName}.${snapshotId}` : this.defaultFileName;
 }
 
 /**
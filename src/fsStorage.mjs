@@ -0,0 +1,153 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import path from 'path';
+import { once } from 'events';
+import { createReadStream, existsSync } from 'fs';
+import { link, mkdir, readdir, rm, rmdir, stat, writeFile } from 'fs/promises';
+import { pipeline } from 'stream/promises';
+import { getTmpFileName, writeFileAtomic } from './fsUtils.mjs';
+import { toReadable } from './storageUtils.mjs';
+
+class FSStorage {
+
+    /**
+     * Contains whether the directory was created by this instance of @see FSStorage.
+     */
+    created = false;
+
+    /**
+     * Initializes new instance of @see FSStorage. Objects are stored as files
+     * of the directory, which is created on the first write.
+     *
+     * @param {string} dir Full path of the directory.
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Gets location of object for messages.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns string with full path of the file.
+     */
+    getLocation = (name) => path.join(this.dir, name);
+
+    /**
+     * Gets readable stream of object. Ranges include the end position.
+     *
+     * @param {string} name String with name of the object.
+     * @param {object} range Object with optional start and end position.
+     * @returns Returns @see object with readable stream.
+     * @throws {Error} Throws error with code ENOENT if the object does not exist.
+     */
+    async get(name, { start, end } = {}) {
+        const readStream = createReadStream(this.getLocation(name), { start, end });
+
+        await once(readStream, 'open');
+
+        return readStream;
+    }
+
+    /**
+     * Writes object atomically, so that readers never see partially written objects.
+     * Exclusive objects are written to a temporary file, which is linked to the object.
+     *
+     * @param {string} name String with name of the object.
+     * @param {Buffer|string|object} data Buffer object, string or readable stream.
+     * @param {object} options Object with additional options.
+     * @param {boolean} options.exclusive Contains whether writing fails if the object exists.
+     * @throws {Error} Throws error with code EEXIST if the exclusive object exists.
+     */
+    async put(name, data, { exclusive } = {}) {
+        const file = this.getLocation(name);
+
+        if (await mkdir(this.dir, { recursive: true })) {
+            this.created = true;
+        }
+
+        if (exclusive) {
+            const tmpFile = getTmpFileName(file);
+
+            try {
+                await writeFile(tmpFile, toReadable(data), { flag: 'wx' });
+                await link(tmpFile, file);
+            } finally {
+                await rm(tmpFile, { force: true });
+            }
+        } else {
+            await writeFileAtomic(file, writeStream => pipeline(toReadable(data), writeStream));
+        }
+    }
+
+    /**
+     * Deletes object. Missing objects are ignored.
+     *
+     * @param {string} name String with name of the object.
+     */
+    async delete(name) {
+        await rm(this.getLocation(name), { force: true });
+    }
+
+    /**
+     * Lists names of objects. Subdirectories are not part of the storage.
+     *
+     * @param {string} prefix String with optional prefix of the names.
+     * @returns Returns array with names in ascending order.
+     */
+    async list(prefix = '') {
+        if (!existsSync(this.dir)) {
+            return [];
+        }
+
+        return (await readdir(this.dir, { withFileTypes: true }))
+            .filter(dirent => !dirent.isDirectory() && dirent.name.startsWith(prefix))
+            .map(({ name }) => name)
+            .sort();
+    }
+
+    /**
+     * Validates whether object exists.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns true if the object exists.
+     */
+    exists = async (name) => existsSync(this.getLocation(name));
+
+    /**
+     * Gets metadata of object.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns object with size in bytes or undefined if the object does not exist.
+     */
+    async stat(name) {
+        try {
+            const { size } = await stat(this.getLocation(name));
+
+            return { size };
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return;
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Deletes all objects and removes the directory if it is empty afterwards.
+     */
+    async clear() {
+        for (const name of await this.list()) {
+            await this.delete(name);
+        }
+
+        await rmdir(this.dir).catch(() => {});
+    }
+}
+
+/**
+ * Exports @see FSStorage as default class.
+ */
+export default FSStorage;
@@ -0,0 +1,115 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import path from 'path';
+import { once } from 'events';
+import { createWriteStream } from 'fs';
+import { open, rename, rm } from 'fs/promises';
+
+/**
+ * Contains extension of temporary files.
+ */
+const tmpExtension = '.tmp';
+
+/**
+ * Gets name of hidden temporary file next to the target file. Temporary files are
+ * created in the same directory to be renamed on the same file system.
+ *
+ * @param {string} file Path of the target file.
+ * @returns Returns string with path of the temporary file.
+ */
+const getTmpFileName = (file) => {
+    const { dir, base } = path.parse(file);
+
+    return path.join(dir, `.${base}.${crypto.randomBytes(6).toString('hex')}${tmpExtension}`);
+};
+
+/**
+ * Gets file name of target file by name of hidden temporary file.
+ *
+ * @param {string} name String with file name.
+ * @returns Returns string with file name of the target file or undefined if the name
+ * does not match names of @see getTmpFileName.
+ */
+const getTmpTargetName = (name) =>
+    name.match(new RegExp(`^\\.(.+)\\.[0-9a-f]{12}\\${tmpExtension}$`))?.[1];
+
+/**
+ * Flushes metadata of directory to disk. Platforms without support
+ * for synchronizing directories are ignored.
+ *
+ * @param {string} dir String with path of the directory.
+ */
+const syncDirectory = async (dir) => {
+    let fileHandle;
+
+    try {
+        fileHandle = await open(dir, 'r');
+
+        await fileHandle.sync();
+    } catch {
+        // Directories cannot be opened or synchronized on every platform.
+    } finally {
+        await fileHandle?.close();
+    }
+};
+
+/**
+ * Flushes file to disk and renames it to target file.
+ *
+ * @param {string} tmpFile Path of the temporary file.
+ * @param {string} file Path of the target file.
+ */
+const commitFile = async (tmpFile, file) => {
+    const fileHandle = await open(tmpFile, 'r+');
+
+    try {
+        await fileHandle.sync();
+    } finally {
+        await fileHandle.close();
+    }
+
+    await rename(tmpFile, file);
+    await syncDirectory(path.dirname(file));
+};
+
+/**
+ * Writes file atomically. Data is written to a temporary file by the callback, which
+ * is flushed to disk and renamed to the target file afterwards. The target file is
+ * left untouched and the temporary file is removed if the callback fails.
+ *
+ * @param {string} file Path of the target file.
+ * @param {Function} write Function which receives writable stream and resolves once it is finished.
+ */
+const writeFileAtomic = async (file, write) => {
+    const tmpFile = getTmpFileName(file);
+    const writeStream = createWriteStream(tmpFile, { flags: 'wx' });
+    const failed = new Promise((resolve, reject) => writeStream.once('error', reject));
+
+    try {
+        await Promise.race([write(writeStream), failed]);
+
+        if (!writeStream.closed) {
+            await once(writeStream, 'close');
+        }
+
+        await commitFile(tmpFile, file);
+    } catch (err) {
+        writeStream.destroy();
+
+        await rm(tmpFile, { force: true });
+
+        throw err;
+    }
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    getTmpFileName,
+    getTmpTargetName,
+    commitFile,
+    writeFileAtomic
+};
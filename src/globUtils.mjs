@@ -0,0 +1,72 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+/**
+ * Contains @see string with characters to be escaped in regular expressions.
+ */
+const specialChars = '\\^$.|+(){}';
+
+/**
+ * Converts glob pattern to regular expression. Supports '**', '*', '?', character classes
+ * and characters escaped by backslash.
+ * 
+ * @param {string} glob String with glob pattern.
+ * @returns Returns instance of @see RegExp.
+ */
+const globToRegExp = (glob) => {
+    let result = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '\\' && i + 1 < glob.length) {
+            const next = glob[++i];
+
+            result += specialChars.includes(next) || '*?[]'.includes(next) ? '\\' + next : next;
+        } else if (char === '*') {
+            if (glob[i + 1] === '*') {
+                const slash = glob[i + 2] === '/';
+
+                result += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                result += '[^/]*';
+            }
+        } else if (char === '?') {
+            result += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+
+            if (end < 0) {
+                result += '\\[';
+            } else {
+                const chars = glob.slice(i + 1, end).replace(/^!/, '^').replaceAll('\\', '\\\\');
+
+                result += `[${chars}]`;
+                i = end;
+            }
+        } else {
+            result += specialChars.includes(char) ? '\\' + char : char;
+        }
+    }
+
+    return new RegExp(`^${result}$`);
+};
+
+/**
+ * Validates whether path matches glob pattern. Patterns without slash are matched against the base name.
+ * 
+ * @param {string} path String with relative path separated by slashes.
+ * @param {string} glob String with glob pattern.
+ * @returns Returns true if path matches.
+ */
+const matchesGlob = (path, glob) =>
+    globToRegExp(glob).test(glob.includes('/') ? path : path.split('/').pop());
+
+/**
+ * Exports primary functions.
+ */
+export {
+    globToRegExp,
+    matchesGlob
+};
@@ -0,0 +1,50 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { createHash } from 'crypto';
+import { Writable } from 'stream';
+
+class HashWritable extends Writable {
+
+    /**
+     * Initializes new instance of @see HashWritable.
+     * 
+     * @param {string} algorithm Cryptographic function to calculate hash.
+     * @param {object} options Object with writable stream options.
+     */
+    constructor(algorithm = 'sha256', options) {
+        super(options);
+
+        this._hashSum = createHash(algorithm);
+        this.digest = undefined;
+    }
+
+    /**
+     * Writes chunks to hash of @see HashWritable.
+     * 
+     * @param {*} chunk Data to be written to writable stream.
+     * @param {string} encoding Type of encoding for string chunk.
+     * @param {function} callback Callback function to check completion or failure.
+     */
+    _write(chunk, encoding, callback) {
+        this._hashSum.update(chunk, encoding === 'buffer' ? undefined : encoding);
+
+        callback();
+    }
+
+    /**
+     * Function will be called before the stream closes.
+     * 
+     * @param {function} callback Callback function to check completion.
+     */
+    _final(callback) {
+        this.digest = this._hashSum.digest('hex');
+
+        callback();
+    }
+}
+
+/**
+ * Exports @see HashWritable as default class.
+ */
+export default HashWritable;
@@ -0,0 +1,148 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import fs from 'fs';
+import path from 'path';
+import { globToRegExp } from './globUtils.mjs';
+
+/**
+ * Parses gitignore pattern to rule. Blank lines and comments return undefined.
+ *
+ * @param {string} line String with pattern.
+ * @param {string} base String with relative path of the directory containing the pattern.
+ * @returns Returns object with regular expression, negation, directory-only and anchor flags.
+ */
+const parseRule = (line, base) => {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+
+    if (!pattern || pattern.startsWith('#')) {
+        return;
+    }
+
+    const negate = pattern.startsWith('!');
+
+    if (negate) {
+        pattern = pattern.slice(1);
+    }
+
+    const dirOnly = pattern.endsWith('/');
+
+    if (dirOnly) {
+        pattern = pattern.slice(0, -1);
+    }
+
+    const anchored = pattern.includes('/');
+
+    return { regExp: globToRegExp(pattern.replace(/^\//, '')), negate, dirOnly, anchored, base };
+};
+
+/**
+ * Parses content of ignore file to rules.
+ *
+ * @param {string} content String with content of the ignore file.
+ * @param {string} base String with relative path of the directory containing the ignore file.
+ * @returns Returns array with rules.
+ */
+const parseRules = (content, base) =>
+    content.split(/\r?\n/).map(line => parseRule(line, base)).filter(Boolean);
+
+class IgnoreFilter {
+
+    /**
+     * Contains name of ignore files of @see IgnoreFilter.
+     */
+    static fileName = '.cryptdirignore';
+
+    /**
+     * Map with rules by full path of directory.
+     */
+    #rules = new Map();
+
+    /**
+     * Initializes new instance of @see IgnoreFilter. Patterns of options are applied after the
+     * rules of ignore files, included patterns are applied last to override exclusions.
+     *
+     * @param {string} rootDir Full path of the root directory.
+     * @param {object} options Object with patterns.
+     * @param {Array} options.exclude Array with gitignore patterns of excluded dirents.
+     * @param {Array} options.include Array with gitignore patterns of included dirents.
+     */
+    constructor(rootDir, { exclude = [], include = [] } = {}) {
+        this.rootDir = rootDir;
+        this.optionRules = [
+            ...exclude.flatMap(pattern => parseRules(pattern, '')),
+            ...include.flatMap(pattern => parseRules(`!${pattern}`, ''))
+        ];
+    }
+
+    /**
+     * Validates whether dirent is ignored. The last matching rule wins, rules of
+     * nested ignore files take precedence over rules of parent directories.
+     *
+     * @param {string} fullName Full path of the dirent.
+     * @param {boolean} isDirectory Contains whether dirent is a directory.
+     * @returns Returns true if the dirent is ignored.
+     */
+    isIgnored(fullName, isDirectory) {
+        const relativePath = path.relative(this.rootDir, fullName).split(path.sep).join('/');
+        const rules = [...this.#getRules(path.dirname(fullName)), ...this.optionRules];
+
+        let ignored = false;
+
+        for (const rule of rules) {
+            if ((!rule.dirOnly || isDirectory) && this.#matches(rule, relativePath)) {
+                ignored = !rule.negate;
+            }
+        }
+
+        return ignored;
+    }
+
+    /**
+     * Gets rules of directory including rules of parent directories.
+     *
+     * @param {string} dir Full path of the directory.
+     * @returns Returns array with rules.
+     */
+    #getRules(dir) {
+        let rules = this.#rules.get(dir);
+
+        if (!rules) {
+            const relativeDir = path.relative(this.rootDir, dir);
+            const parentRules = relativeDir ? this.#getRules(path.dirname(dir)) : [];
+            const file = path.join(dir, IgnoreFilter.fileName);
+            const base = relativeDir.split(path.sep).join('/');
+
+            rules = fs.existsSync(file) ?
+                [...parentRules, ...parseRules(fs.readFileSync(file, 'utf8'), base)] :
+                parentRules;
+
+            this.#rules.set(dir, rules);
+        }
+
+        return rules;
+    }
+
+    /**
+     * Validates whether rule matches relative path. Anchored patterns are matched against
+     * the path relative to the ignore file, other patterns against the base name.
+     *
+     * @param {object} rule Object with rule.
+     * @param {string} relativePath String with path relative to the root directory.
+     * @returns Returns true if rule matches.
+     */
+    #matches({ regExp, anchored, base }, relativePath) {
+        if (base && !relativePath.startsWith(base + '/')) {
+            return false;
+        }
+
+        const subPath = base ? relativePath.slice(base.length + 1) : relativePath;
+
+        return regExp.test(anchored ? subPath : subPath.split('/').pop());
+    }
+}
+
+/**
+ * Exports @see IgnoreFilter as default class.
+ */
+export default IgnoreFilter;
@@ -0,0 +1,176 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import { CorruptDataError, CryptDirError } from './errors.mjs';
+
+/**
+ * Contains @see object with default cost parameters of supported key derivation functions.
+ */
+const defaultKdfParams = {
+    scrypt: { N: 2 ** 17, r: 8, p: 1 },
+    pbkdf2: { iterations: 600000, digest: 'sha512' }
+};
+
+/**
+ * Contains @see object with maximum cost parameters of supported key derivation functions,
+ * so that parameters of manipulated manifests cannot exhaust memory or time. The total
+ * cost of scrypt is limited to 1 GiB of processed memory blocks (128 * N * r * p).
+ */
+const maxKdfParams = {
+    scrypt: { N: 2 ** 20, r: 32, p: 16, cost: 2 ** 30 },
+    pbkdf2: { iterations: 10000000 }
+};
+
+/**
+ * Contains @see Array with supported digests of PBKDF2.
+ */
+const pbkdf2Digests = ['sha256', 'sha512'];
+
+/**
+ * Contains length of derived keys in bytes.
+ */
+const keyLength = 32;
+
+/**
+ * Contains length of random salts in bytes.
+ */
+const saltLength = 16;
+
+/**
+ * Contains random secret of the process to hash passwords of cached keys.
+ */
+const cacheSecret = crypto.randomBytes(32);
+
+/**
+ * Contains @see Map with derived keys and keyed hashes of their passwords by serialized parameters.
+ */
+const derivedKeys = new Map();
+
+/**
+ * Gets name of the default key derivation function. PBKDF2 is used if scrypt is not available.
+ *
+ * @returns Returns string with name of the algorithm.
+ */
+const getDefaultKdfAlgorithm = () => typeof crypto.scrypt === 'function' ? 'scrypt' : 'pbkdf2';
+
+/**
+ * Validates whether parameters of key derivation function are supported and within the maximum cost.
+ *
+ * @param {object} kdf Object with parameters of key derivation function.
+ * @returns Returns true if the parameters are valid.
+ */
+const isValidKdf = (kdf) => {
+    const { algorithm, salt, N, r, p, iterations, digest } = kdf || {};
+    const isInRange = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+    if (typeof salt !== 'string') {
+        return false;
+    }
+
+    if (algorithm === 'scrypt') {
+        const max = maxKdfParams.scrypt;
+
+        return isInRange(N, max.N) && N > 1 && (N & (N - 1)) === 0 && isInRange(r, max.r) &&
+            isInRange(p, max.p) && 128 * N * r * p <= max.cost;
+    }
+
+    if (algorithm === 'pbkdf2') {
+        return isInRange(iterations, maxKdfParams.pbkdf2.iterations) && pbkdf2Digests.includes(digest);
+    }
+
+    return false;
+};
+
+/**
+ * Creates parameters of key derivation function with random salt.
+ *
+ * @param {object} options Object with algorithm and cost parameters.
+ * @returns Returns object with algorithm, salt and cost parameters.
+ */
+const createKdfParams = (options = {}) => {
+    const { algorithm = getDefaultKdfAlgorithm(), ...params } = options;
+    const defaults = defaultKdfParams[algorithm];
+
+    if (!defaults) {
+        throw new CryptDirError(`Unsupported key derivation function '${algorithm}'`);
+    }
+
+    const kdf = {
+        algorithm,
+        salt: crypto.randomBytes(saltLength).toString('base64'),
+        ...defaults,
+        ...params
+    };
+
+    if (!isValidKdf(kdf)) {
+        throw new CryptDirError(`Invalid parameters of key derivation function ${JSON.stringify(params)}`);
+    }
+
+    return kdf;
+};
+
+/**
+ * Validates whether parameters of key derivation function match options.
+ *
+ * @param {object} kdf Object with parameters of key derivation function.
+ * @param {object} options Object with algorithm and cost parameters.
+ * @returns Returns true if all specified options are equal.
+ */
+const kdfMatches = (kdf, options = {}) =>
+    !!kdf && Object.entries(options).every(([key, value]) => kdf[key] === value);
+
+/**
+ * Calculates keyed hash of password, so that cached keys are matched without keeping the password.
+ *
+ * @param {string} password String with the password.
+ * @returns Returns string with hash of the password.
+ */
+const hashPassword = (password) => crypto.createHmac('sha256', cacheSecret).update(password).digest('hex');
+
+/**
+ * Derives cipher key from password by parameters of key derivation function.
+ *
+ * @param {string} password String with the password.
+ * @param {object} kdf Object with parameters of key derivation function.
+ * @returns Returns buffer with derived key.
+ */
+const deriveKey = async (password, kdf) => {
+    const params = JSON.stringify(kdf);
+    const passwordHash = hashPassword(password);
+    const cached = derivedKeys.get(params);
+
+    if (cached?.passwordHash === passwordHash) {
+        return cached.key;
+    }
+
+    if (!isValidKdf(kdf)) {
+        throw new CorruptDataError(`Invalid parameters of key derivation function ${JSON.stringify(kdf)}`);
+    }
+
+    const { algorithm, salt, N, r, p, iterations, digest } = kdf;
+    const saltBuffer = Buffer.from(salt, 'base64');
+
+    const key = await new Promise((resolve, reject) => {
+        const cb = (err, key) => err ? reject(err) : resolve(key);
+
+        if (algorithm === 'scrypt') {
+            crypto.scrypt(password, saltBuffer, keyLength, { N, r, p, maxmem: 256 * N * r * p }, cb);
+        } else {
+            crypto.pbkdf2(password, saltBuffer, iterations, keyLength, digest, cb);
+        }
+    });
+
+    derivedKeys.set(params, { passwordHash, key });
+
+    return key;
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    createKdfParams,
+    kdfMatches,
+    deriveKey
+};
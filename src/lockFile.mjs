@@ -0,0 +1,240 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import os from 'os';
+import { setTimeout } from 'timers/promises';
+import { log } from './log.mjs';
+import { calcHash } from './cryptoUtils.mjs';
+import { LockError } from './errors.mjs';
+import { readStreamToBuffer } from './storageUtils.mjs';
+
+class LockFile {
+
+    /**
+     * Contains interval in milliseconds to check whether a held lock is released.
+     */
+    retryInterval = 1000;
+
+    /**
+     * Contains interval in milliseconds to read lock files again, which are removed or invalid.
+     */
+    pollInterval = 50;
+
+    /**
+     * Contains period in milliseconds after which empty or invalid lock files are treated as stale.
+     */
+    invalidGracePeriod = 2000;
+
+    /**
+     * Contains whether the lock is held by this instance of @see LockFile.
+     */
+    #acquired = false;
+
+    /**
+     * Initializes new instance of @see LockFile.
+     *
+     * @param {object} storage Object with storage adapter of the lock file.
+     * @param {string} name String with name of the lock file.
+     */
+    constructor(storage, name) {
+        this.storage = storage;
+        this.name = name;
+        this.file = storage.getLocation(name);
+    }
+
+    /**
+     * Acquires lock by creating the lock file exclusively. Stale locks of terminated
+     * processes on the same host and locks staying empty or invalid past the grace
+     * period are removed.
+     *
+     * @param {object} options Object with additional options.
+     * @param {boolean} options.wait Contains whether to wait until a held lock is released.
+     * @param {boolean} options.breakLock Contains whether a held lock is removed.
+     * @throws {LockError} Throws error if the lock is held by another process.
+     */
+    async acquire({ wait, breakLock } = {}) {
+        let waiting = false;
+        let invalidSince;
+        let claimedSince;
+
+        while (!(this.#acquired = await this.#tryCreate(this.name))) {
+            const owner = await this.#readOwner(this.name);
+
+            if (owner === undefined && !breakLock) {
+                invalidSince ??= Date.now();
+            } else {
+                invalidSince = undefined;
+            }
+
+            if (owner === null || (invalidSince && Date.now() - invalidSince < this.invalidGracePeriod)) {
+                await setTimeout(this.pollInterval);
+            } else if (breakLock || invalidSince || this.#isStale(owner)) {
+                if (await this.#remove(this.name, owner, breakLock)) {
+                    log(`Removed ${breakLock ? '' : 'stale '}lock '${this.file}' of ${this.#getOwnerLabel(owner)}`);
+
+                    claimedSince = undefined;
+                } else {
+                    claimedSince ??= Date.now();
+
+                    if (!wait && Date.now() - claimedSince >= this.invalidGracePeriod) {
+                        throw new LockError(`Stale lock of ${this.#getOwnerLabel(owner)} is being removed by ` +
+                            `another process ('${this.file}')`);
+                    }
+
+                    await setTimeout(this.pollInterval);
+                }
+
+                breakLock = false;
+                invalidSince = undefined;
+            } else if (wait) {
+                if (!waiting) {
+                    log(`Waiting for lock '${this.file}' of ${this.#getOwnerLabel(owner)}`);
+
+                    waiting = true;
+                }
+
+                await setTimeout(this.retryInterval);
+            } else {
+                throw new LockError(`Directory is locked by ${this.#getOwnerLabel(owner)} ('${this.file}')`);
+            }
+        }
+    }
+
+    /**
+     * Releases lock by removing the lock file.
+     */
+    async release() {
+        if (this.#acquired) {
+            await this.storage.delete(this.name);
+
+            this.#acquired = false;
+        }
+    }
+
+    /**
+     * Removes lock file of owner. The removal is claimed by an exclusive marker file named
+     * by the owner, so that only one process removes the lock file of the owner and lock
+     * files created meanwhile by other processes are kept. Markers of terminated processes
+     * are removed the same way, breaking locks removes markers of any process.
+     *
+     * @param {string} name String with name of the lock file.
+     * @param {object} owner Object with owner of the lock file or undefined if it is invalid.
+     * @param {boolean} breakLock Contains whether markers of running processes are removed.
+     * @returns Returns true if the lock file of the owner was removed.
+     */
+    async #remove(name, owner, breakLock) {
+        const marker = `${name}.${calcHash(JSON.stringify(owner ?? null)).slice(0, 16)}`;
+
+        if (!await this.#tryCreate(marker)) {
+            const markerOwner = await this.#readOwner(marker);
+
+            if (markerOwner !== null && (breakLock || this.#isStale(markerOwner, true))) {
+                await this.#remove(marker, markerOwner, breakLock);
+            }
+
+            return false;
+        }
+
+        try {
+            if (!this.#isSameOwner(await this.#readOwner(name), owner)) {
+                return false;
+            }
+
+            await this.storage.delete(name);
+
+            return true;
+        } finally {
+            await this.storage.delete(marker);
+        }
+    }
+
+    /**
+     * Creates file exclusively with process identifier, host name and start time.
+     *
+     * @param {string} name String with name of the lock or marker file.
+     * @returns Returns true if the file was created.
+     */
+    async #tryCreate(name) {
+        const owner = { pid: process.pid, hostname: os.hostname(), started: new Date().toISOString() };
+
+        try {
+            await this.storage.put(name, JSON.stringify(owner), { exclusive: true });
+        } catch (err) {
+            if (err.code === 'EEXIST') {
+                return false;
+            }
+
+            throw err;
+        }
+
+        return true;
+    }
+
+    /**
+     * Reads owner of the lock or marker file.
+     *
+     * @param {string} name String with name of the lock or marker file.
+     * @returns Returns object with owner, null if the file is missing or undefined if it is empty or invalid.
+     */
+    async #readOwner(name) {
+        try {
+            const owner = JSON.parse((await readStreamToBuffer(await this.storage.get(name))).toString());
+
+            return owner && typeof owner === 'object' ? owner : undefined;
+        } catch (err) {
+            return err.code === 'ENOENT' ? null : undefined;
+        }
+    }
+
+    /**
+     * Validates whether owners of lock files are equal by process identifier, host name and start time.
+     *
+     * @param {object} owner Object with owner of the lock file.
+     * @param {object} other Object with other owner of the lock file.
+     * @returns Returns true if both owners are equal or invalid.
+     */
+    #isSameOwner = (owner, other) => owner === other ||
+        (!!owner && !!other && owner.pid === other.pid && owner.hostname === other.hostname &&
+            owner.started === other.started);
+
+    /**
+     * Validates whether lock is stale. Locks of other hosts cannot be validated
+     * and are never treated as stale.
+     *
+     * @param {object} owner Object with owner of the lock.
+     * @param {boolean} invalidStale Contains whether invalid owners are treated as stale.
+     * @returns Returns true if the process of the lock is terminated.
+     */
+    #isStale(owner, invalidStale) {
+        if (!owner?.pid) {
+            return !!invalidStale;
+        }
+
+        if (owner.hostname !== os.hostname()) {
+            return false;
+        }
+
+        try {
+            process.kill(owner.pid, 0);
+
+            return false;
+        } catch (err) {
+            return err.code === 'ESRCH';
+        }
+    }
+
+    /**
+     * Gets label of lock owner for messages.
+     *
+     * @param {object} owner Object with owner of the lock.
+     * @returns Returns string with label of the owner.
+     */
+    #getOwnerLabel = (owner) => owner ?
+        `process ${owner.pid} on '${owner.hostname}' since ${owner.started}` :
+        'unknown process';
+}
+
+/**
+ * Exports @see LockFile as default class.
+ */
+export default LockFile;
@@ -0,0 +1,98 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { CorruptDataError, CryptDirError } from './errors.mjs';
+import { readBuffer } from './storageUtils.mjs';
+
+/**
+ * Contains @see Buffer with magic bytes of manifest files.
+ */
+const magicBytes = Buffer.from('CDMF');
+
+/**
+ * Contains current format version of manifest headers. Version 2 adds wrapped data keys,
+ * version 3 authenticates the header as additional data of the encrypted manifest.
+ */
+const formatVersion = 3;
+
+/**
+ * Contains first format version of manifest headers, which are authenticated.
+ */
+const authenticatedVersion = 3;
+
+/**
+ * Contains length of fixed prefix with magic bytes, version and header length.
+ */
+const prefixLength = magicBytes.length + 5;
+
+/**
+ * Creates plaintext header of manifest file.
+ *
+ * Layout: magic bytes (4), format version (1), length of JSON data (4), JSON data.
+ *
+ * @param {object} header Object with header values.
+ * @returns Returns buffer with manifest header.
+ */
+const createManifestHeader = (header) => {
+    const data = Buffer.from(JSON.stringify(header));
+    const prefix = Buffer.alloc(prefixLength);
+
+    magicBytes.copy(prefix);
+    prefix.writeUInt8(formatVersion, magicBytes.length);
+    prefix.writeUInt32BE(data.length, magicBytes.length + 1);
+
+    return Buffer.concat([prefix, data]);
+};
+
+/**
+ * Reads plaintext header of manifest file.
+ *
+ * @param {object} storage Object with storage adapter.
+ * @param {string} name String with name of the manifest file.
+ * @returns Returns object with header values, length and buffer of authenticated headers
+ * or undefined for legacy manifests.
+ */
+const readManifestHeader = async (storage, name) => {
+    const stats = await storage.stat(name);
+
+    if (!stats) {
+        return;
+    }
+
+    const prefix = await readBuffer(storage, name, 0, Math.min(prefixLength, stats.size) - 1);
+
+    if (prefix.length < prefixLength || !magicBytes.equals(prefix.subarray(0, magicBytes.length))) {
+        return;
+    }
+
+    const version = prefix.readUInt8(magicBytes.length);
+    const dataLength = prefix.readUInt32BE(magicBytes.length + 1);
+
+    if (version < 1 || version > formatVersion) {
+        throw new CryptDirError(`Unsupported manifest version ${version}`);
+    }
+
+    const data = await readBuffer(storage, name, prefixLength, prefixLength + dataLength - 1);
+
+    let header;
+
+    try {
+        header = JSON.parse(data.toString());
+    } catch (err) {
+        throw new CorruptDataError(`Invalid header of manifest '${storage.getLocation(name)}'`, { cause: err });
+    }
+
+    return {
+        header,
+        length: prefixLength + dataLength,
+        ...(version >= authenticatedVersion ? { buffer: Buffer.concat([prefix, data]) } : {})
+    };
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    createManifestHeader,
+    readManifestHeader
+};
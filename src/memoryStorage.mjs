@@ -0,0 +1,119 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { Readable } from 'stream';
+import { createStorageError, readStreamToBuffer, toReadable } from './storageUtils.mjs';
+
+class MemoryStorage {
+
+    /**
+     * Map with data of objects by name.
+     */
+    #objects = new Map();
+
+    /**
+     * Initializes new instance of @see MemoryStorage. Objects are kept in memory only,
+     * e.g. for tests of libraries using @see CryptDir.
+     *
+     * @param {string} label String with label of the storage for messages.
+     */
+    constructor(label = 'memory') {
+        this.label = label;
+    }
+
+    /**
+     * Gets location of object for messages.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns string with label of the storage and name of the object.
+     */
+    getLocation = (name) => `${this.label}:${name}`;
+
+    /**
+     * Gets readable stream of object. Ranges include the end position.
+     *
+     * @param {string} name String with name of the object.
+     * @param {object} range Object with optional start and end position.
+     * @returns Returns @see object with readable stream.
+     * @throws {Error} Throws error with code ENOENT if the object does not exist.
+     */
+    async get(name, { start = 0, end } = {}) {
+        const data = this.#objects.get(name);
+
+        if (!data) {
+            throw createStorageError('ENOENT', `Object '${this.getLocation(name)}' not found`);
+        }
+
+        return Readable.from([data.subarray(start, end === undefined ? undefined : end + 1)]);
+    }
+
+    /**
+     * Writes object once all of its data is read.
+     *
+     * @param {string} name String with name of the object.
+     * @param {Buffer|string|object} data Buffer object, string or readable stream.
+     * @param {object} options Object with additional options.
+     * @param {boolean} options.exclusive Contains whether writing fails if the object exists.
+     * @throws {Error} Throws error with code EEXIST if the exclusive object exists.
+     */
+    async put(name, data, { exclusive } = {}) {
+        const buffer = await readStreamToBuffer(toReadable(data));
+
+        if (exclusive && this.#objects.has(name)) {
+            throw createStorageError('EEXIST', `Object '${this.getLocation(name)}' already exists`);
+        }
+
+        this.#objects.set(name, buffer);
+    }
+
+    /**
+     * Deletes object. Missing objects are ignored.
+     *
+     * @param {string} name String with name of the object.
+     */
+    async delete(name) {
+        this.#objects.delete(name);
+    }
+
+    /**
+     * Lists names of objects.
+     *
+     * @param {string} prefix String with optional prefix of the names.
+     * @returns Returns array with names in ascending order.
+     */
+    async list(prefix = '') {
+        return [...this.#objects.keys()].filter(name => name.startsWith(prefix)).sort();
+    }
+
+    /**
+     * Validates whether object exists.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns true if the object exists.
+     */
+    exists = async (name) => this.#objects.has(name);
+
+    /**
+     * Gets metadata of object.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns object with size in bytes or undefined if the object does not exist.
+     */
+    async stat(name) {
+        const data = this.#objects.get(name);
+
+        return data && { size: data.length };
+    }
+
+    /**
+     * Deletes all objects.
+     */
+    async clear() {
+        this.#objects.clear();
+    }
+}
+
+/**
+ * Exports @see MemoryStorage as default class.
+ */
+export default MemoryStorage;
@@ -0,0 +1,153 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { readFileSync } from 'fs';
+import { CryptDirError } from './errors.mjs';
+
+/**
+ * Removes single trailing line break of string.
+ *
+ * @param {string} str String with value.
+ * @returns Returns string without trailing line break.
+ */
+const trimLineBreak = (str) => str.replace(/\r?\n$/, '');
+
+/**
+ * Reads all data of standard input.
+ *
+ * @returns Returns string with data of standard input.
+ */
+const readStdin = async () => {
+    const chunks = [];
+
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString();
+};
+
+/**
+ * Prompts for input on the terminal without echoing characters.
+ * The prompt is written to stderr to keep stdout free for data.
+ *
+ * @param {string} query String with text of the prompt.
+ * @returns Returns string with input.
+ */
+const promptHidden = (query) =>
+    new Promise((resolve, reject) => {
+        const { stdin, stderr } = process;
+
+        if (!stdin.isTTY) {
+            reject(new CryptDirError('No password given and standard input is not a terminal'));
+
+            return;
+        }
+
+        let input = '';
+
+        const finish = (err) => {
+            stdin.off('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            stderr.write('\n');
+
+            err ? reject(err) : resolve(input);
+        };
+
+        const onData = (data) => {
+            for (const char of data) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    return finish();
+                } else if (char === '\u0003') {
+                    return finish(new CryptDirError('Password input aborted'));
+                } else if (char === '\u007f' || char === '\b') {
+                    input = Array.from(input).slice(0, -1).join('');
+                } else {
+                    input += char;
+                }
+            }
+        };
+
+        stderr.write(query);
+        stdin.setEncoding('utf8');
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.on('data', onData);
+    });
+
+/**
+ * Prompts for password on the terminal. New passwords have to be entered twice.
+ *
+ * @param {string} name String with name of the password.
+ * @param {boolean} confirm Contains whether password has to be confirmed.
+ * @returns Returns string with password.
+ */
+const promptPassword = async (name = 'Password', confirm) => {
+    const password = await promptHidden(`${name}: `);
+
+    if (confirm && password !== await promptHidden(`Confirm ${name.toLowerCase()}: `)) {
+        throw new CryptDirError('Passwords do not match');
+    }
+
+    return password;
+};
+
+/**
+ * Validates whether any source of the password is given by options.
+ *
+ * @param {object} options Object with password options.
+ * @returns Returns true if a password option is given.
+ */
+const hasPasswordOption = ({ password, passwordFile, passwordEnv, passwordStdin }) =>
+    password !== undefined || !!passwordFile || !!passwordEnv || !!passwordStdin;
+
+/**
+ * Reads password by options. Sources are used in the order of option, file,
+ * environment variable and stdin. Otherwise the password is prompted.
+ *
+ * @param {object} options Object with password options.
+ * @param {string} options.password String with the password.
+ * @param {string} options.passwordFile String with path of file containing the password.
+ * @param {string} options.passwordEnv String with name of environment variable containing the password.
+ * @param {boolean} options.passwordStdin Contains whether the password is read from stdin.
+ * @param {boolean} confirm Contains whether prompted password has to be confirmed.
+ * @param {string} name String with name of the prompted password.
+ * @returns Returns string with password.
+ */
+const readPassword = async (options, confirm, name = 'Password') => {
+    const { password, passwordFile, passwordEnv, passwordStdin } = options;
+
+    let result;
+
+    if (password !== undefined) {
+        result = password;
+    } else if (passwordFile) {
+        result = trimLineBreak(readFileSync(passwordFile, 'utf8'));
+    } else if (passwordEnv) {
+        result = process.env[passwordEnv];
+
+        if (result === undefined) {
+            throw new CryptDirError(`Environment variable '${passwordEnv}' is not set`);
+        }
+    } else if (passwordStdin) {
+        result = trimLineBreak(await readStdin());
+    } else {
+        result = await promptPassword(name, confirm);
+    }
+
+    if (!result) {
+        throw new CryptDirError('Empty password');
+    }
+
+    return result;
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    hasPasswordOption,
+    promptPassword,
+    readPassword
+};
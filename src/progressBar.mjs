@@ -0,0 +1,175 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { formatBytes, padNumber } from './stringUtils.mjs';
+
+class ProgressBar {
+
+    /**
+     * Contains width of the bar in characters.
+     */
+    width = 24;
+
+    /**
+     * Contains minimum interval between renderings in milliseconds.
+     */
+    interval = 100;
+
+    /**
+     * Object with totals and processed counts of the current run.
+     */
+    #state;
+
+    /**
+     * Contains time of the last rendering in milliseconds.
+     */
+    #renderedAt = 0;
+
+    /**
+     * Contains whether the bar is visible.
+     */
+    #visible = false;
+
+    /**
+     * Initializes new instance of @see ProgressBar. The bar is drawn on the last line of
+     * the stream and redrawn below messages of the wrapped logger.
+     *
+     * @param {object} stream Object with writable stream of a terminal, e.g. process.stderr.
+     */
+    constructor(stream) {
+        this.stream = stream;
+    }
+
+    /**
+     * Attaches progress bar to events of @see CryptDir.
+     *
+     * @param {object} emitter Object with event emitter of the progress.
+     * @returns Returns instance of @see ProgressBar.
+     */
+    attach(emitter) {
+        emitter
+            .on('scan', ({ files, bytes }) => this.#start(files, bytes))
+            .on('bytes', ({ processedBytes }) => this.#update({ processedBytes }))
+            .on('file:done', ({ processedFiles }) => this.#update({ processedFiles }))
+            .on('done', () => this.#finish());
+
+        return this;
+    }
+
+    /**
+     * Wraps logger, so that messages are written above the progress bar.
+     *
+     * @param {object} logger Instance of the logger.
+     * @returns Returns object with function log.
+     */
+    wrapLogger = (logger) => ({
+        log: (message) => {
+            const visible = this.#visible;
+
+            this.clear();
+
+            logger.log(message);
+
+            if (visible) {
+                this.#render();
+            }
+        }
+    });
+
+    /**
+     * Removes progress bar from the terminal.
+     */
+    clear() {
+        if (this.#visible) {
+            this.stream.write('\r\x1b[2K');
+
+            this.#visible = false;
+        }
+    }
+
+    /**
+     * Starts progress bar with totals of the run.
+     *
+     * @param {number} files Number of files.
+     * @param {number} bytes Number of bytes of the files.
+     */
+    #start(files, bytes) {
+        this.#state = { files, bytes, processedFiles: 0, processedBytes: 0, startedAt: Date.now() };
+
+        if (files) {
+            this.#render();
+        }
+    }
+
+    /**
+     * Updates processed counts and renders progress bar at most once per interval.
+     *
+     * @param {object} values Object with processed files or bytes.
+     */
+    #update(values) {
+        if (!this.#state) {
+            return;
+        }
+
+        Object.assign(this.#state, values);
+
+        if (Date.now() - this.#renderedAt >= this.interval) {
+            this.#render();
+        }
+    }
+
+    /**
+     * Finishes progress bar of the run.
+     */
+    #finish() {
+        this.clear();
+
+        this.#state = undefined;
+    }
+
+    /**
+     * Renders progress bar with percentage, files, bytes and estimated remaining time.
+     */
+    #render() {
+        const { files, bytes, processedFiles, processedBytes, startedAt } = this.#state;
+        const ratio = Math.min(1, bytes ? processedBytes / bytes : processedFiles / (files || 1));
+        const filled = Math.round(ratio * this.width);
+        const line = [
+            `[${'#'.repeat(filled)}${'-'.repeat(this.width - filled)}]`,
+            `${Math.floor(ratio * 100)}%`.padStart(4),
+            `${processedFiles}/${files} files`,
+            `${formatBytes(processedBytes)}/${formatBytes(bytes)}`,
+            `ETA ${this.#getEta(ratio, Date.now() - startedAt)}`
+        ].join(' ');
+
+        this.stream.write(`\r\x1b[2K${line.slice(0, (this.stream.columns || 80) - 1)}`);
+
+        this.#renderedAt = Date.now();
+        this.#visible = true;
+    }
+
+    /**
+     * Gets estimated remaining time by ratio of progress and elapsed time.
+     *
+     * @param {number} ratio Number with ratio of progress between 0 and 1.
+     * @param {number} elapsed Number with elapsed time in milliseconds.
+     * @returns Returns string with remaining time, e.g. 1:05 or 1:02:05.
+     */
+    #getEta(ratio, elapsed) {
+        if (!ratio) {
+            return '--:--';
+        }
+
+        const seconds = Math.round(elapsed * (1 - ratio) / ratio / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds / 60) % 60;
+        const rest = padNumber(seconds % 60);
+
+        return hours ? `${hours}:${padNumber(minutes)}:${rest}` : `${minutes}:${rest}`;
+    }
+}
+
+/**
+ * Exports @see ProgressBar as default class.
+ */
+export default ProgressBar;
@@ -0,0 +1,228 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { CryptDirError, WrongPasswordError } from './errors.mjs';
+
+/**
+ * Contains @see Array with supported types of recipient keys.
+ */
+const keyTypes = ['x25519', 'rsa'];
+
+/**
+ * Contains length of data keys in bytes.
+ */
+const dataKeyLength = 32;
+
+/**
+ * Contains algorithm of wrapped keys.
+ */
+const wrapAlgorithm = 'aes-256-gcm';
+
+/**
+ * Contains length of nonces of wrapped keys in bytes.
+ */
+const nonceLength = 12;
+
+/**
+ * Contains length of authentication tags of wrapped keys in bytes.
+ */
+const tagLength = 16;
+
+/**
+ * Contains info string of key derivation for X25519 recipients.
+ */
+const hkdfInfo = 'cryptdir-x25519';
+
+/**
+ * Contains options of RSA encryption.
+ */
+const rsaOptions = { padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' };
+
+/**
+ * Creates random data key.
+ *
+ * @returns Returns buffer with data key.
+ */
+const createDataKey = () => crypto.randomBytes(dataKeyLength);
+
+/**
+ * Encrypts key with key encryption key.
+ *
+ * @param {Buffer} key Buffer object with key to be wrapped.
+ * @param {Buffer} kek Buffer object with key encryption key.
+ * @returns Returns object with base64 encoded nonce and data.
+ */
+const wrapKey = (key, kek) => {
+    const nonce = crypto.randomBytes(nonceLength);
+    const cipher = crypto.createCipheriv(wrapAlgorithm, kek, nonce, { authTagLength: tagLength });
+    const data = Buffer.concat([cipher.update(key), cipher.final(), cipher.getAuthTag()]);
+
+    return { nonce: nonce.toString('base64'), data: data.toString('base64') };
+};
+
+/**
+ * Decrypts key with key encryption key.
+ *
+ * @param {object} wrap Object with base64 encoded nonce and data.
+ * @param {Buffer} kek Buffer object with key encryption key.
+ * @returns Returns buffer with unwrapped key.
+ */
+const unwrapKey = (wrap, kek) => {
+    const nonce = Buffer.from(wrap.nonce, 'base64');
+    const data = Buffer.from(wrap.data, 'base64');
+    const decipher = crypto.createDecipheriv(wrapAlgorithm, kek, nonce, { authTagLength: tagLength });
+
+    decipher.setAuthTag(data.subarray(-tagLength));
+
+    return Buffer.concat([decipher.update(data.subarray(0, -tagLength)), decipher.final()]);
+};
+
+/**
+ * Exports public key in DER format.
+ *
+ * @param {crypto.KeyObject} publicKey Instance of public key.
+ * @returns Returns buffer with public key.
+ */
+const exportDer = (publicKey) => publicKey.export({ type: 'spki', format: 'der' });
+
+/**
+ * Gets identifier of public key by SHA-256 fingerprint.
+ *
+ * @param {crypto.KeyObject} publicKey Instance of public key.
+ * @returns Returns string with identifier of recipient.
+ */
+const getRecipientId = (publicKey) =>
+    crypto.createHash('sha256').update(exportDer(publicKey)).digest('hex').slice(0, 16);
+
+/**
+ * Derives key encryption key of X25519 recipient by shared secret and both public keys.
+ *
+ * @param {crypto.KeyObject} privateKey Instance of own private key.
+ * @param {crypto.KeyObject} publicKey Instance of public key of the other party.
+ * @param {Buffer} ephemeralDer Buffer object with ephemeral public key.
+ * @param {Buffer} recipientDer Buffer object with public key of recipient.
+ * @returns Returns buffer with key encryption key.
+ */
+const deriveRecipientKek = (privateKey, publicKey, ephemeralDer, recipientDer) => Buffer.from(
+    crypto.hkdfSync('sha256', crypto.diffieHellman({ privateKey, publicKey }),
+        Buffer.concat([ephemeralDer, recipientDer]), hkdfInfo, dataKeyLength));
+
+/**
+ * Creates recipient by public or private key.
+ *
+ * @param {string|Buffer} key String or buffer with key in PEM format.
+ * @param {string} name String with optional name of recipient.
+ * @returns Returns object with identifier, name, type and public key of recipient.
+ */
+const createRecipient = (key, name) => {
+    const publicKey = crypto.createPublicKey(key);
+    const type = publicKey.asymmetricKeyType;
+
+    if (!keyTypes.includes(type)) {
+        throw new CryptDirError(`Unsupported key type '${type}'`);
+    }
+
+    return {
+        id: getRecipientId(publicKey),
+        ...(name ? { name } : {}),
+        type,
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+};
+
+/**
+ * Wraps data key for recipient. X25519 recipients use an ephemeral key agreement,
+ * RSA recipients use OAEP padding.
+ *
+ * @param {Buffer} dataKey Buffer object with data key.
+ * @param {object} recipient Object with type and public key of recipient.
+ * @returns Returns object with wrapped data key.
+ */
+const wrapKeyForRecipient = (dataKey, recipient) => {
+    const publicKey = crypto.createPublicKey(recipient.publicKey);
+
+    if (recipient.type === 'rsa') {
+        return { data: crypto.publicEncrypt({ key: publicKey, ...rsaOptions }, dataKey).toString('base64') };
+    }
+
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const ephemeralDer = exportDer(ephemeral.publicKey);
+    const kek = deriveRecipientKek(ephemeral.privateKey, publicKey, ephemeralDer, exportDer(publicKey));
+
+    return { ephemeralKey: ephemeralDer.toString('base64'), ...wrapKey(dataKey, kek) };
+};
+
+/**
+ * Unwraps data key with private key of recipient.
+ *
+ * @param {Array} recipients Array with recipients and their wrapped data keys.
+ * @param {crypto.KeyObject} privateKey Instance of private key.
+ * @returns Returns buffer with data key.
+ * @throws {WrongPasswordError} Throws error if no recipient matches or the data key cannot be unwrapped.
+ */
+const unwrapKeyWithIdentity = (recipients = [], privateKey) => {
+    const publicKey = crypto.createPublicKey(privateKey);
+    const id = getRecipientId(publicKey);
+    const recipient = recipients.find(recipient => recipient.id === id);
+
+    if (!recipient) {
+        throw new WrongPasswordError(`No recipient matches identity '${id}'`);
+    }
+
+    const { type, wrap } = recipient;
+
+    try {
+        if (type === 'rsa') {
+            return crypto.privateDecrypt({ key: privateKey, ...rsaOptions }, Buffer.from(wrap.data, 'base64'));
+        }
+
+        const ephemeralDer = Buffer.from(wrap.ephemeralKey, 'base64');
+        const ephemeralKey = crypto.createPublicKey({ key: ephemeralDer, format: 'der', type: 'spki' });
+
+        return unwrapKey(wrap, deriveRecipientKek(privateKey, ephemeralKey, ephemeralDer, exportDer(publicKey)));
+    } catch (err) {
+        throw new WrongPasswordError(`Incorrect identity or corrupt key of recipient '${id}'`, { cause: err });
+    }
+};
+
+/**
+ * Generates key pair of identity.
+ *
+ * @param {string} type String with type of key (x25519 or rsa).
+ * @returns Returns object with private and public key in PEM format.
+ */
+const generateIdentity = (type = 'x25519') => {
+    if (!keyTypes.includes(type)) {
+        throw new CryptDirError(`Unsupported key type '${type}'`);
+    }
+
+    return crypto.generateKeyPairSync(type, {
+        ...(type === 'rsa' ? { modulusLength: 3072 } : {}),
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+};
+
+/**
+ * Loads private key of identity from file.
+ *
+ * @param {string} file Path of the key file.
+ * @returns Returns instance of private key.
+ */
+const loadIdentity = (file) => crypto.createPrivateKey(readFileSync(file));
+
+/**
+ * Exports primary functions.
+ */
+export {
+    createDataKey,
+    wrapKey,
+    unwrapKey,
+    createRecipient,
+    wrapKeyForRecipient,
+    unwrapKeyWithIdentity,
+    generateIdentity,
+    loadIdentity
+};
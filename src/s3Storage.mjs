@@ -0,0 +1,392 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { CryptDirError } from './errors.mjs';
+import { createStorageError, toReadable } from './storageUtils.mjs';
+
+/**
+ * Calculates SHA-256 hash of data.
+ *
+ * @param {Buffer|string} data Buffer object or string with data.
+ * @returns Returns string with hexadecimal hash.
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Calculates HMAC-SHA256 of data.
+ *
+ * @param {Buffer|string} key Buffer object or string with key.
+ * @param {string} data String with data.
+ * @returns Returns buffer with HMAC.
+ */
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Encodes string by RFC 3986 as required by signatures of AWS. Slashes are kept with option keepSlashes.
+ *
+ * @param {string} value String to encode.
+ * @param {boolean} keepSlashes Contains whether slashes are kept.
+ * @returns Returns encoded string.
+ */
+const encodeRfc3986 = (value, keepSlashes) => {
+    const encoded = encodeURIComponent(value)
+        .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+};
+
+/**
+ * Gets decoded values of XML elements by tag name.
+ *
+ * @param {string} xml String with XML document.
+ * @param {string} tag String with name of the elements.
+ * @returns Returns array with values.
+ */
+const getXmlValues = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))]
+    .map(([, value]) => value
+        .replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+        .replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&'));
+
+/**
+ * Discards body of response, so that the connection can be reused.
+ *
+ * @param {Response} response Instance of response.
+ * @returns Returns instance of response.
+ */
+const discardBody = async (response) => {
+    await response.body?.cancel();
+
+    return response;
+};
+
+class S3Storage {
+
+    /**
+     * Contains size in bytes of parts of multipart uploads of @see S3Storage.
+     */
+    partSize = 8 * 1024 * 1024;
+
+    /**
+     * Initializes new instance of @see S3Storage. Objects are stored in a bucket of an S3-compatible
+     * service with path-style requests signed by AWS Signature Version 4. Missing options are read
+     * from the environment variables of AWS, e.g. AWS_ENDPOINT_URL or AWS_ACCESS_KEY_ID.
+     *
+     * @param {object} options Object with options.
+     * @param {string} options.bucket String with name of the bucket.
+     * @param {string} options.prefix String with prefix of the keys of objects.
+     * @param {string} options.endpoint String with URL of the service.
+     * @param {string} options.region String with region of the service.
+     * @param {string} options.accessKeyId String with access key.
+     * @param {string} options.secretAccessKey String with secret access key.
+     * @param {string} options.sessionToken String with optional session token.
+     */
+    constructor({ bucket, prefix = '', endpoint, region, accessKeyId, secretAccessKey, sessionToken } = {}) {
+        const { env } = process;
+
+        this.bucket = bucket;
+        this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+        this.region = region || env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1';
+        this.endpoint = (endpoint || env.AWS_ENDPOINT_URL_S3 || env.AWS_ENDPOINT_URL ||
+            `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+        this.credentials = {
+            accessKeyId: accessKeyId ?? env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: secretAccessKey ?? env.AWS_SECRET_ACCESS_KEY,
+            sessionToken: sessionToken ?? env.AWS_SESSION_TOKEN
+        };
+    }
+
+    /**
+     * Gets location of object for messages.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns string with URL of the object.
+     */
+    getLocation = (name) => `s3://${this.bucket}/${this.prefix}${name}`;
+
+    /**
+     * Gets readable stream of object. Ranges include the end position.
+     *
+     * @param {string} name String with name of the object.
+     * @param {object} range Object with optional start and end position.
+     * @returns Returns @see object with readable stream.
+     * @throws {Error} Throws error with code ENOENT if the object does not exist.
+     */
+    async get(name, { start, end } = {}) {
+        const ranged = start !== undefined || end !== undefined;
+        const response = await this.#request('GET', name, {
+            headers: ranged ? { range: `bytes=${start ?? 0}-${end ?? ''}` } : {}
+        });
+
+        return response.body ? Readable.fromWeb(response.body) : Readable.from([]);
+    }
+
+    /**
+     * Writes object. Objects larger than the part size are written by multipart uploads,
+     * which are aborted on errors, so that partially written objects never become visible.
+     *
+     * @param {string} name String with name of the object.
+     * @param {Buffer|string|object} data Buffer object, string or readable stream.
+     * @param {object} options Object with additional options.
+     * @param {boolean} options.exclusive Contains whether writing fails if the object exists.
+     * @throws {Error} Throws error with code EEXIST if the exclusive object exists.
+     */
+    async put(name, data, { exclusive } = {}) {
+        const headers = exclusive ? { 'if-none-match': '*' } : {};
+        const parts = this.#readParts(toReadable(data));
+        const { value: firstPart } = await parts.next();
+        const secondPart = await parts.next();
+
+        if (secondPart.done) {
+            await discardBody(await this.#request('PUT', name, { headers, body: firstPart }));
+        } else {
+            await this.#putMultipart(name, headers, [firstPart, secondPart.value], parts);
+        }
+    }
+
+    /**
+     * Deletes object. Missing objects are ignored.
+     *
+     * @param {string} name String with name of the object.
+     */
+    async delete(name) {
+        await discardBody(await this.#request('DELETE', name));
+    }
+
+    /**
+     * Lists names of objects. Keys containing further slashes after the prefix are not part of the storage.
+     *
+     * @param {string} prefix String with optional prefix of the names.
+     * @returns Returns array with names in ascending order.
+     */
+    async list(prefix = '') {
+        const names = [];
+
+        let token;
+
+        do {
+            const query = {
+                'list-type': 2,
+                prefix: this.prefix + prefix,
+                delimiter: '/',
+                ...(token ? { 'continuation-token': token } : {})
+            };
+            const xml = await (await this.#request('GET', undefined, { query })).text();
+
+            names.push(...getXmlValues(xml, 'Key').map(key => key.slice(this.prefix.length)));
+
+            [token] = getXmlValues(xml, 'NextContinuationToken');
+        } while (token);
+
+        return names.sort();
+    }
+
+    /**
+     * Validates whether object exists.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns true if the object exists.
+     */
+    exists = async (name) => !!(await this.stat(name));
+
+    /**
+     * Gets metadata of object.
+     *
+     * @param {string} name String with name of the object.
+     * @returns Returns object with size in bytes or undefined if the object does not exist.
+     */
+    async stat(name) {
+        try {
+            const response = await discardBody(await this.#request('HEAD', name));
+
+            return { size: Number(response.headers.get('content-length')) };
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return;
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Deletes all objects with the prefix of @see S3Storage.
+     */
+    async clear() {
+        for (const name of await this.list()) {
+            await this.delete(name);
+        }
+    }
+
+    /**
+     * Writes object by multipart upload. Uploads are completed with the headers of the request,
+     * so that exclusive writes fail once another object was written in the meantime.
+     *
+     * @param {string} name String with name of the object.
+     * @param {object} headers Object with headers of the completing request.
+     * @param {Array} buffered Array with buffers of parts already read.
+     * @param {object} parts Object with asynchronous iterator of the remaining parts.
+     */
+    async #putMultipart(name, headers, buffered, parts) {
+        const created = await this.#request('POST', name, { query: { uploads: '' } });
+        const [uploadId] = getXmlValues(await created.text(), 'UploadId');
+        const etags = [];
+
+        const uploadPart = async (body) => {
+            const query = { partNumber: etags.length + 1, uploadId };
+            const response = await discardBody(await this.#request('PUT', name, { query, body }));
+
+            etags.push(response.headers.get('etag'));
+        };
+
+        try {
+            for (const part of buffered) {
+                await uploadPart(part);
+            }
+
+            for await (const part of parts) {
+                await uploadPart(part);
+            }
+
+            const body = '<CompleteMultipartUpload>' + etags.map((etag, index) =>
+                `<Part><PartNumber>${index + 1}</PartNumber><ETag>${etag}</ETag></Part>`).join('') +
+                '</CompleteMultipartUpload>';
+            const response = await this.#request('POST', name, { query: { uploadId }, headers, body });
+            const xml = await response.text();
+
+            if (xml.includes('<Error>')) {
+                throw new CryptDirError(`S3 multipart upload of '${this.getLocation(name)}' failed` +
+                    ` (${getXmlValues(xml, 'Code')[0]})`);
+            }
+        } catch (err) {
+            await this.#request('DELETE', name, { query: { uploadId } }).then(discardBody, () => {});
+
+            throw err;
+        }
+    }
+
+    /**
+     * Reads readable stream in parts of the part size. The last part may be smaller.
+     *
+     * @param {object} readStream Object with readable stream.
+     * @returns Returns asynchronous iterator of buffers.
+     */
+    async *#readParts(readStream) {
+        let buffers = [];
+        let length = 0;
+        let count = 0;
+
+        for await (const chunk of readStream) {
+            const buffer = Buffer.from(chunk);
+
+            buffers.push(buffer);
+            length += buffer.length;
+
+            while (length >= this.partSize) {
+                const data = Buffer.concat(buffers);
+
+                yield data.subarray(0, this.partSize);
+
+                buffers = [data.subarray(this.partSize)];
+                length = buffers[0].length;
+                count++;
+            }
+        }
+
+        if (length || !count) {
+            yield Buffer.concat(buffers);
+        }
+    }
+
+    /**
+     * Sends signed request to the service.
+     *
+     * @param {string} method String with method of the request.
+     * @param {string} name String with name of the object or undefined for requests of the bucket.
+     * @param {object} options Object with query parameters, headers and body of the request.
+     * @returns Returns response of the request.
+     * @throws {Error} Throws error with code ENOENT if the object does not exist.
+     * @throws {Error} Throws error with code EEXIST if the precondition of an exclusive write failed.
+     * @throws {CryptDirError} Throws error if the request failed otherwise.
+     */
+    async #request(method, name, { query = {}, headers = {}, body } = {}) {
+        const key = name === undefined ? '' : `/${encodeRfc3986(this.prefix + name, true)}`;
+        const search = Object.keys(query).sort()
+            .map(param => `${encodeRfc3986(param)}=${encodeRfc3986(String(query[param]))}`).join('&');
+        const url = new URL(`${this.endpoint}/${encodeRfc3986(this.bucket)}${key}${search ? `?${search}` : ''}`);
+        const response = await fetch(url, { method, headers: this.#sign(method, url, headers, body), body });
+
+        if (response.ok) {
+            return response;
+        }
+
+        const [code] = getXmlValues(await response.text(), 'Code');
+
+        if (response.status === 404 && name !== undefined && code !== 'NoSuchBucket') {
+            throw createStorageError('ENOENT', `Object '${this.getLocation(name)}' not found`);
+        }
+
+        if (response.status === 412 || (response.status === 409 && headers['if-none-match'])) {
+            throw createStorageError('EEXIST', `Object '${this.getLocation(name)}' already exists`);
+        }
+
+        throw new CryptDirError(`S3 request ${method} '${url.pathname}' failed with status ${response.status}` +
+            (code ? ` (${code})` : ''));
+    }
+
+    /**
+     * Signs request by AWS Signature Version 4.
+     *
+     * @param {string} method String with method of the request.
+     * @param {URL} url Instance of URL with canonical path and query.
+     * @param {object} headers Object with headers of the request.
+     * @param {Buffer|string} body Buffer object or string with body of the request.
+     * @returns Returns object with signed headers including authorization.
+     * @throws {CryptDirError} Throws error if credentials are missing.
+     */
+    #sign(method, url, headers, body) {
+        const { accessKeyId, secretAccessKey, sessionToken } = this.credentials;
+
+        if (!accessKeyId || !secretAccessKey) {
+            throw new CryptDirError('Missing credentials of S3 storage, set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY');
+        }
+
+        const date = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+        const scope = `${date.slice(0, 8)}/${this.region}/s3/aws4_request`;
+        const signedHeaders = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': sha256(body ?? ''),
+            'x-amz-date': date,
+            ...(sessionToken ? { 'x-amz-security-token': sessionToken } : {})
+        };
+        const names = Object.keys(signedHeaders).sort();
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            url.search.slice(1),
+            ...names.map(header => `${header}:${String(signedHeaders[header]).trim()}`),
+            '',
+            names.join(';'),
+            signedHeaders['x-amz-content-sha256']
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', date, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = [date.slice(0, 8), this.region, 's3', 'aws4_request']
+            .reduce((key, data) => hmac(key, data), `AWS4${secretAccessKey}`);
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+        const { host, ...result } = signedHeaders;
+
+        return {
+            ...result,
+            authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+                `SignedHeaders=${names.join(';')}, Signature=${signature}`
+        };
+    }
+}
+
+/**
+ * Exports @see S3Storage as default class.
+ */
+export default S3Storage;
@@ -0,0 +1,70 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+/**
+ * Contains @see RegExp with pattern of snapshot identifiers.
+ */
+const snapshotIdPattern = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/;
+
+/**
+ * Contains number of milliseconds per day.
+ */
+const msPerDay = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates identifier of snapshot by date.
+ *
+ * @param {Date} date Instance of date.
+ * @returns Returns string with identifier of snapshot (e.g. 20240131T120000000Z).
+ */
+const createSnapshotId = (date = new Date()) =>
+    date.toISOString().replace(/[-:.]/g, '');
+
+/**
+ * Validates whether string is identifier of snapshot.
+ *
+ * @param {string} snapshotId String with identifier of snapshot.
+ * @returns Returns true if identifier is valid.
+ */
+const isSnapshotId = (snapshotId) => snapshotIdPattern.test(snapshotId);
+
+/**
+ * Gets date of snapshot by identifier.
+ *
+ * @param {string} snapshotId String with identifier of snapshot.
+ * @returns Returns instance of date.
+ */
+const getSnapshotDate = (snapshotId) => {
+    const [, year, month, day, hours, minutes, seconds, ms] = snapshotId.match(snapshotIdPattern);
+
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms));
+};
+
+/**
+ * Gets identifiers of expired snapshots by retention policy. Snapshots are kept
+ * if they are one of the newest snapshots or younger than the number of days.
+ *
+ * @param {Array} snapshotIds Array with identifiers of snapshots in ascending order.
+ * @param {object} retention Object with retention policy.
+ * @param {number} retention.keepSnapshots Number of newest snapshots to keep.
+ * @param {number} retention.keepDays Number of days to keep snapshots.
+ * @param {Date} now Instance of current date.
+ * @returns Returns array with identifiers of expired snapshots.
+ */
+const getExpiredSnapshotIds = (snapshotIds, retention, now = new Date()) => {
+    const { keepSnapshots = 0, keepDays } = retention;
+
+    return snapshotIds.filter((snapshotId, index) =>
+        index < snapshotIds.length - keepSnapshots &&
+        !(keepDays > 0 && now - getSnapshotDate(snapshotId) < keepDays * msPerDay));
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    createSnapshotId,
+    isSnapshotId,
+    getSnapshotDate,
+    getExpiredSnapshotIds
+};
@@ -0,0 +1,52 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import path from 'path';
+import ArchiveStorage from './archiveStorage.mjs';
+import FSStorage from './fsStorage.mjs';
+import S3Storage from './s3Storage.mjs';
+
+/**
+ * Validates whether location of encrypted directory is an URL of a storage
+ * instead of a path of the local file system.
+ *
+ * @param {string} location String with path or URL.
+ * @returns Returns true if location is an URL of a storage.
+ */
+const isStorageUrl = (location) => /^s3:\/\//i.test(location);
+
+/**
+ * Contains extension of archive files.
+ */
+const archiveExtension = '.cda';
+
+/**
+ * Creates storage adapter by location of encrypted directory. URLs in the
+ * format s3://bucket/prefix create instances of @see S3Storage, files with
+ * extension .cda instances of @see ArchiveStorage, other locations create
+ * instances of @see FSStorage.
+ *
+ * @param {string} location String with path or URL.
+ * @returns Returns instance of storage adapter.
+ */
+const createStorage = (location) => {
+    if (isStorageUrl(location)) {
+        const { hostname, pathname } = new URL(location);
+
+        return new S3Storage({ bucket: hostname, prefix: decodeURIComponent(pathname.slice(1)) });
+    }
+
+    if (path.extname(location).toLowerCase() === archiveExtension) {
+        return new ArchiveStorage(location);
+    }
+
+    return new FSStorage(location);
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    isStorageUrl,
+    createStorage
+};
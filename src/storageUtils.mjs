@@ -0,0 +1,67 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import { Readable } from 'stream';
+
+/**
+ * Creates error of storage with code of Node.js file system errors,
+ * e.g. ENOENT for missing objects or EEXIST for existing objects.
+ *
+ * @param {string} code String with code of the error.
+ * @param {string} message String with message of the error.
+ * @returns Returns instance of error.
+ */
+const createStorageError = (code, message) =>
+    Object.assign(new Error(message), { code });
+
+/**
+ * Gets readable stream of data for objects of storages.
+ *
+ * @param {Buffer|string|object} data Buffer object, string or readable stream.
+ * @returns Returns @see object with readable stream.
+ */
+const toReadable = (data) =>
+    data instanceof Readable ? data : Readable.from([Buffer.from(data)]);
+
+/**
+ * Reads readable stream to buffer.
+ *
+ * @param {object} readStream Object with readable stream.
+ * @returns Returns buffer with data of the stream.
+ */
+const readStreamToBuffer = async (readStream) => {
+    const buffers = [];
+
+    for await (const chunk of readStream) {
+        buffers.push(Buffer.from(chunk));
+    }
+
+    return Buffer.concat(buffers);
+};
+
+/**
+ * Reads range of object from storage. Ranges include the end position.
+ *
+ * @param {object} storage Object with storage adapter.
+ * @param {string} name String with name of the object.
+ * @param {number} start Number with start position.
+ * @param {number} end Number with end position.
+ * @returns Returns buffer with data of the range.
+ */
+const readBuffer = async (storage, name, start, end) => {
+    if (end !== undefined && end < start) {
+        return Buffer.alloc(0);
+    }
+
+    return readStreamToBuffer(await storage.get(name, { start, end }));
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    createStorageError,
+    toReadable,
+    readStreamToBuffer,
+    readBuffer
+};
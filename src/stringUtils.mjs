@@ -24,10 +24,46 @@ const padNumber = (num, size) => {
     return (diff ? getCharsByCount('0', diff) : '') + result;
 };
 
+/**
+ * Parses comma-separated key value pairs. Numeric values are converted to numbers.
+ * 
+ * @param {string} str String with pairs like 'N=131072,r=8'.
+ * @returns Returns object with parsed values.
+ */
+const parseKeyValuePairs = (str) => Object.fromEntries(
+    (str || '').split(',').filter(Boolean).map(pair => {
+        const [key, value] = pair.split('=').map(part => part.trim());
+
+        return [key, value !== '' && !isNaN(value) ? Number(value) : value];
+    })
+);
+
+/**
+ * Formats number of bytes with binary unit.
+ * 
+ * @param {number} bytes Number of bytes.
+ * @returns Returns string with formatted size.
+ */
+const formatBytes = (bytes) => {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+
+    let value = bytes;
+    let index = 0;
+
+    while (value >= 1024 && index < units.length - 1) {
+        value /= 1024;
+        index++;
+    }
+
+    return `${index ? value.toFixed(1) : value} ${units[index]}`;
+};
+
 /**
  * Exports primary functions.
  */
 export {
     getCharsByCount,
-    padNumber
+    padNumber,
+    parseKeyValuePairs,
+    formatBytes
 };
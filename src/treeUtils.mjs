@@ -0,0 +1,63 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+/**
+ * Builds nested nodes by entries with relative paths. Missing parent directories are added.
+ * 
+ * @param {Array} entries Array with objects containing relative paths.
+ * @returns Returns object with root node.
+ */
+const buildTree = (entries) => {
+    const root = { children: new Map() };
+
+    for (const entry of entries) {
+        let node = root;
+
+        for (const name of entry.path.split('/')) {
+            if (!node.children.has(name)) {
+                node.children.set(name, { name, children: new Map() });
+            }
+
+            node = node.children.get(name);
+        }
+
+        node.entry = entry;
+    }
+
+    return root;
+};
+
+/**
+ * Formats entries with relative paths as tree.
+ * 
+ * @param {Array} entries Array with objects containing relative paths.
+ * @param {function} getLabel Function to get label of entry.
+ * @returns Returns array with lines of the tree.
+ */
+const formatTree = (entries, getLabel) => {
+    const lines = [];
+
+    const addLines = (node, indent) => {
+        const children = [...node.children.values()];
+
+        children.forEach((child, index) => {
+            const last = index === children.length - 1;
+            const label = child.entry ? getLabel(child.entry) : '';
+
+            lines.push(`${indent}${last ? '└── ' : '├── '}${child.name}${label ? ' ' + label : ''}`);
+
+            addLines(child, indent + (last ? '    ' : '│   '));
+        });
+    };
+
+    addLines(buildTree(entries), '');
+
+    return lines;
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    formatTree
+};
@@ -0,0 +1,39 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import assert from 'assert/strict';
+import { setTimeout } from 'timers/promises';
+import { describe, it } from 'node:test';
+import { mapOrdered } from '../src/asyncUtils.mjs';
+
+describe('mapOrdered', () => {
+    it('processes results in the order of the items', async () => {
+        const results = [];
+
+        await mapOrdered([30, 10, 20], 3, (ms) => setTimeout(ms, ms), (result) => results.push(result));
+
+        assert.deepEqual(results, [30, 10, 20]);
+    });
+
+    it('waits for running tasks and skips pending tasks after the first failure', async () => {
+        const started = [];
+        const finished = [];
+
+        const fn = async (item) => {
+            started.push(item);
+
+            await setTimeout(item === 1 ? 1 : 50);
+
+            if (item === 1) {
+                throw new Error('failed');
+            }
+
+            finished.push(item);
+        };
+
+        await assert.rejects(mapOrdered([1, 2, 3, 4], 3, fn, () => {}), { message: 'failed' });
+
+        assert.deepEqual(started, [1, 2, 3]);
+        assert.deepEqual(finished, [2, 3]);
+    });
+});
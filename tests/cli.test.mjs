@@ -0,0 +1,74 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { describe, it } from 'node:test';
+import CryptDir from '../src/cryptDir.mjs';
+import { kdfParams, createTmpDir, writeFiles } from './helpers.mjs';
+
+/**
+ * Contains path of the command-line interface.
+ */
+const cliFile = fileURLToPath(new URL('../src/cli.mjs', import.meta.url));
+
+/**
+ * Runs command-line interface.
+ *
+ * @param {Array} args Array with command-line arguments.
+ * @returns Returns object with exit code, stdout and stderr.
+ */
+const runCli = async (args) => {
+    try {
+        return { code: 0, ...await promisify(execFile)(process.execPath, [cliFile, ...args]) };
+    } catch ({ code, stdout, stderr }) {
+        return { code, stdout, stderr };
+    }
+};
+
+describe('cli', () => {
+    describe('archive', () => {
+        it('verifies archives and lists their snapshots', async (t) => {
+            const dir = createTmpDir(t);
+            const archive = path.join(dir, 'vault.cda');
+
+            writeFiles(path.join(dir, 'src'), { 'a.txt': 'archived\n' });
+
+            await new CryptDir({ srcDir: path.join(dir, 'src'), archive }).encrypt('secret', { kdfParams });
+
+            const verified = await runCli(['-p', 'secret', 'verify', '--archive', archive]);
+            const history = await runCli(['-p', 'secret', 'history', '--archive', archive, '--json']);
+
+            assert.equal(verified.code, 0);
+            assert.equal(history.code, 0);
+            assert.equal(JSON.parse(history.stdout).length, 1);
+        });
+    });
+
+    describe('keygen', () => {
+        it('writes private and public key', async (t) => {
+            const file = path.join(createTmpDir(t), 'id');
+
+            assert.equal((await runCli(['keygen', file])).code, 0);
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+            assert.match(fs.readFileSync(`${file}.pub`, 'utf8'), /PUBLIC KEY/);
+        });
+
+        it('writes no key if the public key exists', async (t) => {
+            const file = path.join(createTmpDir(t), 'id');
+
+            fs.writeFileSync(`${file}.pub`, 'existing');
+
+            const { code, stderr } = await runCli(['keygen', file]);
+
+            assert.equal(code, 1);
+            assert.match(stderr, /already exists/);
+            assert.equal(fs.existsSync(file), false);
+            assert.equal(fs.readFileSync(`${file}.pub`, 'utf8'), 'existing');
+        });
+    });
+});
@@ -0,0 +1,268 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Writable } from 'stream';
+import { describe, it } from 'node:test';
+import CryptDir, { CorruptDataError, MissingBlobError, WrongPasswordError } from '../src/cryptDir.mjs';
+import { kdfParams, fixturesDir, createTmpDir, writeFiles, readFiles } from './helpers.mjs';
+
+/**
+ * Contains files of the source directory.
+ */
+const files = {
+    'a.txt': 'hello world\n',
+    'empty.txt': '',
+    'sub/b.txt': 'nested file\n',
+    'sub/deep/c.log': 'chunky line\n'.repeat(50000)
+};
+
+/**
+ * Creates source directory and encrypts it.
+ *
+ * @param {object} t Object with context of the test.
+ * @param {object} options Object with options of encryption.
+ * @returns Returns object with directory, paths of source and encrypted directory.
+ */
+const encryptFiles = async (t, options = {}) => {
+    const dir = createTmpDir(t);
+    const srcDir = path.join(dir, 'src');
+    const encDir = path.join(dir, 'enc');
+
+    writeFiles(srcDir, files);
+
+    await new CryptDir({ srcDir, encDir }).encrypt('secret', { kdfParams, ...options });
+
+    return { dir, srcDir, encDir };
+};
+
+/**
+ * Gets path of the largest blob of encrypted directory.
+ *
+ * @param {string} encDir Path of the encrypted directory.
+ * @returns Returns string with path of the blob.
+ */
+const getLargestBlob = (encDir) => fs.readdirSync(encDir)
+    .filter(name => /^[0-9A-F]{32}$/.test(name) && !/^0+$/.test(name))
+    .map(name => path.join(encDir, name))
+    .sort((a, b) => fs.statSync(b).size - fs.statSync(a).size)[0];
+
+/**
+ * Flips byte of file.
+ *
+ * @param {string} file Path of the file.
+ * @param {number} position Number with position of the byte, negative from the end.
+ */
+const flipByte = (file, position) => {
+    const data = fs.readFileSync(file);
+    const index = position < 0 ? data.length + position : position;
+
+    data[index] ^= 0xff;
+
+    fs.writeFileSync(file, data);
+};
+
+describe('CryptDir', () => {
+    describe('round trip', () => {
+        for (const options of [{}, { chunking: true, chunkSize: 4096 }, { compression: 'none' }, { compression: 'brotli' }]) {
+            it(`restores files with options ${JSON.stringify(options)}`, async (t) => {
+                const { dir, encDir } = await encryptFiles(t, options);
+                const outDir = path.join(dir, 'out');
+
+                await new CryptDir({ srcDir: outDir, encDir }).decrypt('secret');
+
+                assert.deepEqual(readFiles(outDir), files);
+            });
+        }
+
+        it('lists and streams files without decrypting the directory', async (t) => {
+            const { encDir } = await encryptFiles(t);
+            const cryptDir = new CryptDir({ encDir });
+            const chunks = [];
+            const writeStream = new Writable({ write: (chunk, encoding, cb) => cb(null, chunks.push(chunk)) });
+
+            const paths = (await cryptDir.list('secret')).map(({ path }) => path).sort();
+
+            await cryptDir.cat('secret', 'sub/b.txt', writeStream);
+
+            assert.deepEqual(paths, ['a.txt', 'empty.txt', 'sub', 'sub/b.txt', 'sub/deep', 'sub/deep/c.log']);
+            assert.equal(Buffer.concat(chunks).toString(), files['sub/b.txt']);
+        });
+
+        it('restores read-only directories with their children', async (t) => {
+            const { dir, srcDir, encDir } = await encryptFiles(t);
+            const outDir = path.join(dir, 'out');
+
+            fs.chmodSync(path.join(srcDir, 'sub'), 0o555);
+
+            try {
+                await new CryptDir({ srcDir, encDir }).encrypt('secret');
+                await new CryptDir({ srcDir: outDir, encDir }).decrypt('secret');
+
+                fs.chmodSync(path.join(srcDir, 'sub'), 0o755);
+                writeFiles(srcDir, { 'sub/new.txt': 'new file\n' });
+                fs.chmodSync(path.join(srcDir, 'sub'), 0o555);
+
+                await new CryptDir({ srcDir, encDir }).encrypt('secret');
+                await new CryptDir({ srcDir: outDir, encDir }).decrypt('secret');
+
+                assert.equal(fs.statSync(path.join(outDir, 'sub')).mode & 0o777, 0o555);
+                assert.deepEqual(readFiles(outDir), { ...files, 'sub/new.txt': 'new file\n' });
+            } finally {
+                for (const direntPath of [srcDir, outDir].map(dir => path.join(dir, 'sub')).filter(fs.existsSync)) {
+                    fs.chmodSync(direntPath, 0o755);
+                }
+            }
+        });
+
+        it('keeps unchanged blobs on encryption again', async (t) => {
+            const { srcDir, encDir } = await encryptFiles(t);
+            const names = fs.readdirSync(encDir).filter(name => !/^0+/.test(name)).sort();
+
+            const changes = await new CryptDir({ srcDir, encDir }).encrypt('secret');
+
+            assert.deepEqual(changes, []);
+            assert.deepEqual(fs.readdirSync(encDir).filter(name => !/^0+/.test(name)).sort(), names);
+        });
+    });
+
+    describe('tampering', () => {
+        it('rejects incorrect passwords', async (t) => {
+            const { dir, encDir } = await encryptFiles(t);
+
+            await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir }).decrypt('wrong'), WrongPasswordError);
+        });
+
+        for (const [label, position] of [['payload', 40], ['header', 6], ['authentication tag', -1]]) {
+            it(`rejects blobs with modified ${label}`, async (t) => {
+                const { dir, encDir } = await encryptFiles(t);
+
+                flipByte(getLargestBlob(encDir), position);
+
+                await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir }).decrypt('secret'), CorruptDataError);
+            });
+        }
+
+        it('rejects modified manifests', async (t) => {
+            const { dir, encDir } = await encryptFiles(t);
+
+            flipByte(path.join(encDir, '0'.repeat(32)), -20);
+
+            await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir }).decrypt('secret'), CorruptDataError);
+        });
+
+        for (const maxCatBufferSize of [64 * 1024 * 1024, 0]) {
+            it(`writes no unauthenticated data of corrupt files with maximum buffer size ${maxCatBufferSize}`, async (t) => {
+                const { encDir } = await encryptFiles(t, { chunking: false, compression: 'none' });
+                const cryptDir = Object.assign(new CryptDir({ encDir }), { maxCatBufferSize });
+                const chunks = [];
+                const writeStream = new Writable({ write: (chunk, encoding, cb) => cb(null, chunks.push(chunk)) });
+
+                await cryptDir.cat('secret', 'sub/deep/c.log', writeStream);
+
+                assert.equal(Buffer.concat(chunks).toString(), files['sub/deep/c.log']);
+
+                chunks.length = 0;
+                flipByte(getLargestBlob(encDir), -1);
+
+                await assert.rejects(cryptDir.cat('secret', 'sub/deep/c.log', writeStream), CorruptDataError);
+
+                assert.equal(chunks.length, 0);
+            });
+        }
+
+        it('reports missing and corrupt blobs on verification', async (t) => {
+            const { dir, encDir } = await encryptFiles(t, { chunking: false });
+            const blobs = fs.readdirSync(encDir).filter(name => !/^0+/.test(name)).map(name => path.join(encDir, name));
+
+            flipByte(getLargestBlob(encDir), 40);
+            fs.rmSync(blobs.find(blob => blob !== getLargestBlob(encDir) && fs.statSync(blob).size > 0));
+
+            const report = await new CryptDir({ encDir }).verify('secret');
+
+            assert.equal(report.ok, false);
+            assert.equal(report.corrupt.length, 1);
+            assert.equal(report.missing.length, 1);
+
+            await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir }).decrypt('secret'),
+                err => err instanceof CorruptDataError || err instanceof MissingBlobError);
+        });
+    });
+
+    describe('prune', () => {
+        /**
+         * Encrypts files, decrypts them and removes files of the source directory afterwards.
+         *
+         * @param {object} t Object with context of the test.
+         * @returns Returns object with paths of source, encrypted and decrypted directory.
+         */
+        const encryptRemovedFiles = async (t) => {
+            const { dir, srcDir, encDir } = await encryptFiles(t);
+            const outDir = path.join(dir, 'out');
+
+            await new CryptDir({ srcDir: outDir, encDir }).decrypt('secret');
+
+            fs.rmSync(path.join(srcDir, 'a.txt'));
+            fs.rmSync(path.join(srcDir, 'sub/b.txt'));
+            writeFiles(outDir, { 'local.txt': 'local\n' });
+
+            await new CryptDir({ srcDir, encDir }).encrypt('secret');
+
+            return { srcDir, encDir, outDir };
+        };
+
+        it('removes files without paths', async (t) => {
+            const { srcDir, encDir, outDir } = await encryptRemovedFiles(t);
+
+            await new CryptDir({ srcDir: outDir, encDir }).decrypt('secret', { prune: true, paths: [] });
+
+            assert.deepEqual(readFiles(outDir), { ...readFiles(srcDir), 'local.txt': 'local\n' });
+
+            await new CryptDir({ srcDir: outDir, encDir }).decrypt('secret', { prune: true, force: true, paths: [] });
+
+            assert.deepEqual(readFiles(outDir), readFiles(srcDir));
+        });
+
+        it('removes files only on paths with trailing slashes', async (t) => {
+            const { encDir, outDir } = await encryptRemovedFiles(t);
+
+            await new CryptDir({ srcDir: outDir, encDir }).decrypt('secret', { prune: true, force: true, paths: ['sub/'] });
+
+            assert.equal(fs.existsSync(path.join(outDir, 'sub/b.txt')), false);
+            assert.equal(fs.existsSync(path.join(outDir, 'a.txt')), true);
+            assert.equal(fs.existsSync(path.join(outDir, 'local.txt')), true);
+        });
+    });
+
+    describe('legacy format', () => {
+        it('decrypts directories of version 1.3.0 and upgrades them on encryption', async (t) => {
+            const dir = createTmpDir(t);
+            const encDir = path.join(dir, 'enc');
+            const expected = { 'a.txt': 'legacy file\n', 'sub/b.txt': 'nested\n' };
+
+            fs.cpSync(path.join(fixturesDir, 'legacy'), encDir, { recursive: true });
+
+            await new CryptDir({ srcDir: path.join(dir, 'out'), encDir }).decrypt('legacy');
+
+            assert.deepEqual(readFiles(path.join(dir, 'out')), expected);
+
+            writeFiles(path.join(dir, 'out'), { 'c.txt': 'new file\n' });
+
+            await new CryptDir({ srcDir: path.join(dir, 'out'), encDir }).encrypt('legacy', { kdfParams });
+            await new CryptDir({ srcDir: path.join(dir, 'out2'), encDir }).decrypt('legacy');
+
+            assert.deepEqual(readFiles(path.join(dir, 'out2')), { ...expected, 'c.txt': 'new file\n' });
+        });
+
+        it('rejects incorrect passwords of legacy directories', async (t) => {
+            const dir = createTmpDir(t);
+            const encDir = path.join(dir, 'enc');
+
+            fs.cpSync(path.join(fixturesDir, 'legacy'), encDir, { recursive: true });
+
+            await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir }).decrypt('wrong'), WrongPasswordError);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Contains cheap parameters of key derivation function, so that tests run fast.
+ */
+const kdfParams = { N: 1024 };
+
+/**
+ * Contains path of directory with test fixtures.
+ */
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Creates temporary directory, which is removed after the tests of the context.
+ *
+ * @param {object} t Object with context of the test.
+ * @returns Returns string with path of the directory.
+ */
+const createTmpDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptdir-'));
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    return dir;
+};
+
+/**
+ * Writes files by relative path and content. Parent directories are created.
+ *
+ * @param {string} dir Path of the directory.
+ * @param {object} files Object with contents of files by relative path.
+ */
+const writeFiles = (dir, files) => {
+    for (const [relativePath, content] of Object.entries(files)) {
+        const file = path.join(dir, relativePath);
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+    }
+};
+
+/**
+ * Reads files of directory recursively.
+ *
+ * @param {string} dir Path of the directory.
+ * @returns Returns object with contents of files by relative path with forward slashes.
+ */
+const readFiles = (dir) => Object.fromEntries(fs.readdirSync(dir, { recursive: true })
+    .filter(name => fs.lstatSync(path.join(dir, name)).isFile())
+    .sort()
+    .map(name => [name.split(path.sep).join('/'), fs.readFileSync(path.join(dir, name), 'utf8')]));
+
+/**
+ * Exports primary functions.
+ */
+export {
+    kdfParams,
+    fixturesDir,
+    createTmpDir,
+    writeFiles,
+    readFiles
+};
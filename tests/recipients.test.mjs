@@ -0,0 +1,151 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import CryptDir, { CorruptDataError, WrongPasswordError } from '../src/cryptDir.mjs';
+import { createRecipient, generateIdentity } from '../src/recipients.mjs';
+import { kdfParams, createTmpDir, writeFiles, readFiles } from './helpers.mjs';
+
+/**
+ * Contains files of the source directory.
+ */
+const files = { 'a.txt': 'shared secret\n' };
+
+/**
+ * Encrypts source directory and adds recipient bob.
+ *
+ * @param {object} t Object with context of the test.
+ * @returns Returns object with directory, path of encrypted directory and identity of bob.
+ */
+const encryptForBob = async (t) => {
+    const dir = createTmpDir(t);
+    const srcDir = path.join(dir, 'src');
+    const encDir = path.join(dir, 'enc');
+    const bob = generateIdentity();
+
+    writeFiles(srcDir, files);
+
+    await new CryptDir({ srcDir, encDir }).encrypt('secret', { kdfParams });
+    await new CryptDir({ encDir }).addRecipient('secret', bob.publicKey, 'bob');
+
+    return { dir, encDir, bob: crypto.createPrivateKey(bob.privateKey) };
+};
+
+/**
+ * Rewrites plaintext header of manifest file.
+ *
+ * @param {string} encDir Path of the encrypted directory.
+ * @param {Function} update Function called with header values, which returns the new values.
+ * @param {number} version Number with optional format version of the new header.
+ */
+const rewriteManifestHeader = (encDir, update, version) => {
+    const file = path.join(encDir, '0'.repeat(32));
+    const data = fs.readFileSync(file);
+    const length = data.readUInt32BE(5);
+    const json = Buffer.from(JSON.stringify(update(JSON.parse(data.subarray(9, 9 + length).toString()))));
+    const prefix = Buffer.from(data.subarray(0, 9));
+
+    prefix.writeUInt8(version ?? prefix.readUInt8(4), 4);
+    prefix.writeUInt32BE(json.length, 5);
+
+    fs.writeFileSync(file, Buffer.concat([prefix, json, data.subarray(9 + length)]));
+};
+
+describe('recipients', () => {
+    it('decrypts with identity of recipient', async (t) => {
+        const { dir, encDir, bob } = await encryptForBob(t);
+
+        await new CryptDir({ srcDir: path.join(dir, 'out'), encDir, identity: bob }).decrypt();
+
+        assert.deepEqual(readFiles(path.join(dir, 'out')), files);
+    });
+
+    it('rejects identities of other keys', async (t) => {
+        const { dir, encDir } = await encryptForBob(t);
+
+        for (const type of ['x25519', 'rsa']) {
+            const identity = crypto.createPrivateKey(generateIdentity(type).privateKey);
+
+            await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir, identity }).decrypt(), WrongPasswordError);
+        }
+    });
+
+    for (const type of ['x25519', 'rsa']) {
+        it(`rejects corrupt wrapped keys of ${type} recipients as incorrect identity`, async (t) => {
+            const { dir, encDir } = await encryptForBob(t);
+            const carol = generateIdentity(type);
+            const identity = crypto.createPrivateKey(carol.privateKey);
+
+            await new CryptDir({ encDir }).addRecipient('secret', carol.publicKey, 'carol');
+
+            rewriteManifestHeader(encDir, header => ({
+                ...header,
+                keys: {
+                    ...header.keys,
+                    recipients: header.keys.recipients.map(recipient => recipient.name === 'carol' ?
+                        { ...recipient, wrap: { ...recipient.wrap, data: Buffer.alloc(16).toString('base64') } } : recipient)
+                }
+            }));
+
+            await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir, identity }).decrypt(), WrongPasswordError);
+        });
+    }
+
+    it('rejects recipients injected into the manifest header', async (t) => {
+        const { dir, encDir } = await encryptForBob(t);
+        const mallory = generateIdentity();
+        const { wrap, ...recipient } = createRecipient(mallory.publicKey, 'mallory');
+
+        rewriteManifestHeader(encDir, header => ({
+            ...header,
+            keys: { ...header.keys, recipients: [...header.keys.recipients, { ...recipient, wrap: header.keys.recipients[0].wrap }] }
+        }));
+
+        const cryptDir = new CryptDir({ encDir });
+
+        await assert.rejects(cryptDir.listRecipients('secret'), CorruptDataError);
+        await assert.rejects(cryptDir.removeRecipient('secret', 'bob'), CorruptDataError);
+
+        const identity = crypto.createPrivateKey(mallory.privateKey);
+
+        await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'out'), encDir, identity }).decrypt());
+    });
+
+    it('rejects downgraded manifest headers', async (t) => {
+        const { encDir } = await encryptForBob(t);
+
+        rewriteManifestHeader(encDir, header => header, 2);
+
+        await assert.rejects(new CryptDir({ encDir }).listRecipients('secret'), CorruptDataError);
+    });
+
+    it('rejects cost parameters of key derivation function beyond the maximum', async (t) => {
+        const { encDir } = await encryptForBob(t);
+
+        rewriteManifestHeader(encDir, header => ({ ...header, kdf: { ...header.kdf, N: 2 ** 30 } }));
+
+        await assert.rejects(new CryptDir({ encDir }).list('secret'), CorruptDataError);
+    });
+
+    it('wraps the data key only for remaining recipients after removal', async (t) => {
+        const { dir, encDir, bob } = await encryptForBob(t);
+        const carol = generateIdentity();
+        const cryptDir = new CryptDir({ encDir });
+
+        await cryptDir.addRecipient('secret', carol.publicKey, 'carol');
+        await cryptDir.removeRecipient('secret', 'bob');
+
+        assert.deepEqual((await cryptDir.listRecipients('secret')).map(({ name }) => name), ['carol']);
+
+        const identity = crypto.createPrivateKey(carol.privateKey);
+
+        await assert.rejects(new CryptDir({ srcDir: path.join(dir, 'bob'), encDir, identity: bob }).decrypt(), WrongPasswordError);
+        await new CryptDir({ srcDir: path.join(dir, 'carol'), encDir, identity }).decrypt();
+
+        assert.deepEqual(readFiles(path.join(dir, 'carol')), files);
+    });
+});
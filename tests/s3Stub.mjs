@@ -0,0 +1,252 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import http from 'http';
+import { once } from 'events';
+import { readStreamToBuffer } from '../src/storageUtils.mjs';
+
+/**
+ * Contains credentials accepted by the stub.
+ */
+const credentials = { accessKeyId: 'AKIDSTUB', secretAccessKey: 'stub-secret' };
+
+/**
+ * Calculates SHA-256 hash of data.
+ *
+ * @param {Buffer|string} data Buffer object or string with data.
+ * @returns Returns string with hexadecimal hash.
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Calculates HMAC-SHA256 of data.
+ *
+ * @param {Buffer|string} key Buffer object or string with key.
+ * @param {string} data String with data.
+ * @returns Returns buffer with HMAC.
+ */
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Escapes characters of XML text.
+ *
+ * @param {string} value String with text.
+ * @returns Returns escaped string.
+ */
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Gets canonical query string of raw query by AWS Signature Version 4.
+ *
+ * @param {string} search String with raw query without question mark.
+ * @returns Returns string with parameters encoded by RFC 3986 and sorted by name.
+ */
+const getCanonicalQuery = (search) => search.split('&').filter(Boolean)
+    .map(pair => pair.split('=').concat('').slice(0, 2).map(value => encodeURIComponent(decodeURIComponent(value))
+        .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)))
+    .sort(([a, x], [b, y]) => a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0)
+    .map(pair => pair.join('='))
+    .join('&');
+
+/**
+ * Calculates signature of request by AWS Signature Version 4.
+ *
+ * @param {object} request Object with method, path, raw query, headers and signed header names.
+ * @param {string} secretAccessKey String with secret access key.
+ * @param {string} region String with region of the service.
+ * @returns Returns string with hexadecimal signature.
+ */
+const computeSignature = ({ method, pathname, search, headers, signedHeaders }, secretAccessKey, region) => {
+    const date = headers['x-amz-date'];
+    const canonicalRequest = [
+        method,
+        pathname,
+        getCanonicalQuery(search),
+        ...signedHeaders.map(name => `${name}:${headers[name].trim()}`),
+        '',
+        signedHeaders.join(';'),
+        headers['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${date.slice(0, 8)}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', date, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [date.slice(0, 8), region, 's3', 'aws4_request']
+        .reduce((key, data) => hmac(key, data), `AWS4${secretAccessKey}`);
+
+    return hmac(signingKey, stringToSign).toString('hex');
+};
+
+/**
+ * Validates whether request is signed with the credentials of the stub. All headers
+ * relevant for S3 have to be signed and the body has to match its signed hash.
+ *
+ * @param {object} req Object with incoming request.
+ * @param {URL} url Instance of URL of the request.
+ * @param {Buffer} body Buffer object with body of the request.
+ * @returns Returns true if the signature is valid.
+ */
+const isValidSignature = (req, url, body) => {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([a-z0-9;-]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization ?? '');
+
+    if (!match) {
+        return false;
+    }
+
+    const [, accessKeyId, day, region, names, signature] = match;
+    const signedHeaders = names.split(';');
+    const requiredHeaders = ['host', 'x-amz-date', 'x-amz-content-sha256', 'range', 'if-none-match', 'x-amz-security-token']
+        .filter(name => req.headers[name] !== undefined);
+
+    return accessKeyId === credentials.accessKeyId &&
+        req.headers['x-amz-date']?.startsWith(day) &&
+        req.headers['x-amz-content-sha256'] === sha256(body) &&
+        requiredHeaders.every(name => signedHeaders.includes(name)) &&
+        signature === computeSignature({
+            method: req.method,
+            pathname: url.pathname,
+            search: url.search.slice(1),
+            headers: req.headers,
+            signedHeaders
+        }, credentials.secretAccessKey, region);
+};
+
+/**
+ * Creates stub of an S3-compatible service on a local port. It supports path-style requests of objects,
+ * listing with delimiter and continuation, conditional writes and multipart uploads, and rejects
+ * requests without valid signature.
+ *
+ * @param {object} options Object with optional maximum number of keys per listing.
+ * @returns Returns object with endpoint, objects, uploads and requests of the stub and function to close it.
+ */
+const createS3Stub = async ({ maxKeys = 1000 } = {}) => {
+    const objects = new Map();
+    const uploads = new Map();
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const body = await readStreamToBuffer(req);
+        const url = new URL(req.url, 'http://localhost');
+        const { searchParams: params } = url;
+        const [, , ...keyParts] = url.pathname.split('/');
+        const key = keyParts.length ? decodeURIComponent(keyParts.join('/')) : undefined;
+        const exclusive = req.headers['if-none-match'] === '*';
+
+        const send = (status, xml = '', headers = {}) => {
+            res.writeHead(status, { 'content-type': 'application/xml', ...headers });
+            res.end(req.method === 'HEAD' ? undefined : xml);
+        };
+
+        const sendError = (status, code) => send(status, `<Error><Code>${code}</Code></Error>`);
+
+        requests.push({ method: req.method, key, query: Object.fromEntries(params), length: body.length });
+
+        if (!isValidSignature(req, url, body)) {
+            return sendError(403, 'SignatureDoesNotMatch');
+        }
+
+        if (key === undefined) {
+            const prefix = params.get('prefix') ?? '';
+            const keys = [...objects.keys()].sort()
+                .filter(name => name.startsWith(prefix) && !name.slice(prefix.length).includes(params.get('delimiter') ?? '\0'));
+            const start = Number(params.get('continuation-token') ?? 0);
+            const next = start + maxKeys < keys.length ? `<NextContinuationToken>${start + maxKeys}</NextContinuationToken>` : '';
+
+            return send(200, '<ListBucketResult>' + keys.slice(start, start + maxKeys)
+                .map(name => `<Contents><Key>${escapeXml(name)}</Key></Contents>`).join('') + next + '</ListBucketResult>');
+        }
+
+        if (req.method === 'POST' && params.has('uploads')) {
+            const uploadId = crypto.randomUUID();
+
+            uploads.set(uploadId, { key, parts: [] });
+
+            return send(200, `<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        }
+
+        if (params.has('uploadId')) {
+            const upload = uploads.get(params.get('uploadId'));
+
+            if (!upload || upload.key !== key) {
+                return sendError(404, 'NoSuchUpload');
+            }
+
+            if (req.method === 'PUT') {
+                const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+
+                upload.parts[Number(params.get('partNumber')) - 1] = { etag, body };
+
+                return send(200, '', { etag });
+            }
+
+            if (req.method === 'DELETE') {
+                uploads.delete(params.get('uploadId'));
+
+                return send(204);
+            }
+
+            const etags = [...body.toString().matchAll(/<ETag>([^<]*)<\/ETag>/g)].map(([, etag]) => etag);
+
+            if (etags.length !== upload.parts.length || etags.some((etag, index) => upload.parts[index]?.etag !== etag)) {
+                return sendError(400, 'InvalidPart');
+            }
+
+            if (exclusive && objects.has(key)) {
+                return sendError(412, 'PreconditionFailed');
+            }
+
+            objects.set(key, Buffer.concat(upload.parts.map(part => part.body)));
+            uploads.delete(params.get('uploadId'));
+
+            return send(200, '<CompleteMultipartUploadResult></CompleteMultipartUploadResult>');
+        }
+
+        const data = objects.get(key);
+
+        switch (req.method) {
+            case 'PUT':
+                if (exclusive && data) {
+                    return sendError(412, 'PreconditionFailed');
+                }
+
+                objects.set(key, body);
+
+                return send(200);
+            case 'DELETE':
+                objects.delete(key);
+
+                return send(204);
+            default: {
+                if (!data) {
+                    return sendError(404, 'NoSuchKey');
+                }
+
+                const [, start, end] = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range ?? '') ?? [];
+                const range = start === undefined ? data : data.subarray(Number(start), end ? Number(end) + 1 : undefined);
+
+                return send(start === undefined ? 200 : 206, range, { 'content-length': range.length });
+            }
+        }
+    });
+
+    server.listen(0, '127.0.0.1');
+
+    await once(server, 'listening');
+
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects,
+        uploads,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+/**
+ * Exports primary functions.
+ */
+export {
+    credentials,
+    computeSignature,
+    createS3Stub
+};
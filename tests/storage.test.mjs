@@ -0,0 +1,222 @@
+// Copyright (c) 2024, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import { after, before, describe, it } from 'node:test';
+import { ArchiveStorage, CryptDirError, FSStorage, MemoryStorage, S3Storage } from '../src/cryptDir.mjs';
+import { readBuffer, readStreamToBuffer } from '../src/storageUtils.mjs';
+import { computeSignature, createS3Stub, credentials } from './s3Stub.mjs';
+import { createTmpDir } from './helpers.mjs';
+
+/**
+ * Reads object of storage to string.
+ *
+ * @param {object} storage Object with storage adapter.
+ * @param {string} name String with name of the object.
+ * @returns Returns string with data of the object.
+ */
+const readString = async (storage, name) => (await readStreamToBuffer(await storage.get(name))).toString();
+
+/**
+ * Validates whether promise fails with error code.
+ *
+ * @param {Promise} promise Instance of the promise.
+ * @param {string} code String with expected code of the error.
+ */
+const rejectsWithCode = (promise, code) => assert.rejects(promise, (err) => err.code === code);
+
+/**
+ * Describes tests of the interface shared by all storage adapters.
+ *
+ * @param {string} name String with name of the storage adapter.
+ * @param {Function} createStorage Function called with context of the test, which returns a new storage adapter.
+ */
+const describeContract = (name, createStorage) => describe(name, () => {
+    it('writes and reads objects', async (t) => {
+        const storage = createStorage(t);
+
+        await storage.put('small', 'hello world');
+        await storage.put('stream', Readable.from([Buffer.from('hello '), Buffer.from('stream')]));
+
+        assert.equal(await readString(storage, 'small'), 'hello world');
+        assert.equal(await readString(storage, 'stream'), 'hello stream');
+        assert.deepEqual(await storage.stat('small'), { size: 11 });
+        assert.equal(await storage.exists('small'), true);
+
+        await storage.put('small', 'replaced');
+
+        assert.equal(await readString(storage, 'small'), 'replaced');
+    });
+
+    it('reads ranges of objects including the end position', async (t) => {
+        const storage = createStorage(t);
+
+        await storage.put('small', 'hello world');
+
+        assert.equal((await readBuffer(storage, 'small', 6, 10)).toString(), 'world');
+        assert.equal((await readBuffer(storage, 'small', 0, 4)).toString(), 'hello');
+        assert.equal((await readBuffer(storage, 'small', 6)).toString(), 'world');
+    });
+
+    it('fails exclusive writes of existing objects', async (t) => {
+        const storage = createStorage(t);
+
+        await storage.put('lock', 'first', { exclusive: true });
+        await rejectsWithCode(storage.put('lock', 'second', { exclusive: true }), 'EEXIST');
+
+        assert.equal(await readString(storage, 'lock'), 'first');
+    });
+
+    it('fails on missing objects', async (t) => {
+        const storage = createStorage(t);
+
+        await rejectsWithCode(storage.get('missing'), 'ENOENT');
+
+        assert.equal(await storage.stat('missing'), undefined);
+        assert.equal(await storage.exists('missing'), false);
+    });
+
+    it('lists, deletes and clears objects', async (t) => {
+        const storage = createStorage(t);
+
+        for (const object of ['b', 'a', 'ab']) {
+            await storage.put(object, object);
+        }
+
+        assert.deepEqual(await storage.list(), ['a', 'ab', 'b']);
+        assert.deepEqual(await storage.list('a'), ['a', 'ab']);
+
+        await storage.delete('a');
+        await storage.delete('a');
+
+        assert.deepEqual(await storage.list(), ['ab', 'b']);
+
+        await storage.clear();
+
+        assert.deepEqual(await storage.list(), []);
+    });
+});
+
+describe('storage', () => {
+    describeContract('MemoryStorage', () => new MemoryStorage());
+
+    describeContract('FSStorage', (t) => new FSStorage(path.join(createTmpDir(t), 'enc')));
+
+    describeContract('ArchiveStorage', (t) => {
+        const storage = new ArchiveStorage(path.join(createTmpDir(t), 'vault.cda'));
+
+        t.after(() => storage.rollback());
+
+        return storage;
+    });
+
+    describe('ArchiveStorage', () => {
+        it('keeps objects after commit and discards them on rollback', async (t) => {
+            const file = path.join(createTmpDir(t), 'vault.cda');
+            const storage = new ArchiveStorage(file);
+
+            await storage.put('kept', 'kept');
+            await storage.commit();
+            await storage.put('discarded', 'discarded');
+            await storage.rollback();
+
+            const reopened = new ArchiveStorage(file);
+
+            assert.deepEqual(await reopened.list(), ['kept']);
+            assert.equal(await readString(reopened, 'kept'), 'kept');
+        });
+    });
+
+    describe('S3Storage', () => {
+        let stub;
+
+        /**
+         * Creates storage adapter of the stub with unique prefix.
+         *
+         * @param {object} options Object with additional options of the storage adapter.
+         * @returns Returns instance of @see S3Storage.
+         */
+        const createS3Storage = (options) => new S3Storage({
+            bucket: 'bucket',
+            prefix: `dir-${crypto.randomUUID()}`,
+            endpoint: stub.endpoint,
+            ...credentials,
+            ...options
+        });
+
+        before(async () => stub = await createS3Stub({ maxKeys: 2 }));
+        after(() => stub.close());
+
+        describeContract('contract', () => createS3Storage());
+
+        it('verifies signatures of the stub with the example of AWS', () => {
+            const signature = computeSignature({
+                method: 'GET',
+                pathname: '/test.txt',
+                search: '',
+                headers: {
+                    host: 'examplebucket.s3.amazonaws.com',
+                    range: 'bytes=0-9',
+                    'x-amz-content-sha256': crypto.createHash('sha256').digest('hex'),
+                    'x-amz-date': '20130524T000000Z'
+                },
+                signedHeaders: ['host', 'range', 'x-amz-content-sha256', 'x-amz-date']
+            }, 'wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY', 'us-east-1');
+
+            assert.equal(signature, 'f0e8bdb87c964420e857bd35b5d6ed310bd44f0170aba48dd91039c6036bdb41');
+        });
+
+        it('fails requests with invalid signatures', async () => {
+            const storage = createS3Storage({ secretAccessKey: 'wrong-secret' });
+
+            await assert.rejects(storage.put('small', 'hello'), CryptDirError);
+        });
+
+        it('signs session tokens and encoded keys', async () => {
+            const storage = createS3Storage({ sessionToken: 'token', prefix: 'dir with spaces+(1)' });
+
+            await storage.put('name (1)', 'hello');
+
+            assert.equal(await readString(storage, 'name (1)'), 'hello');
+            assert.deepEqual(await storage.list(), ['name (1)']);
+        });
+
+        it('lists objects by continuation without nested keys', async () => {
+            const storage = createS3Storage();
+
+            for (const object of ['a', 'b', 'c', 'd', 'e', 'nested/f']) {
+                await storage.put(object, object);
+            }
+
+            assert.deepEqual(await storage.list(), ['a', 'b', 'c', 'd', 'e']);
+        });
+
+        it('writes large objects by multipart upload', async () => {
+            const storage = createS3Storage();
+            const data = crypto.randomBytes(2500);
+
+            storage.partSize = 1024;
+            stub.requests.length = 0;
+
+            await storage.put('large', Readable.from([data.subarray(0, 700), data.subarray(700)]));
+
+            assert.deepEqual(await readStreamToBuffer(await storage.get('large')), data);
+            assert.deepEqual(stub.requests.filter(({ query }) => query.partNumber).map(({ length }) => length), [1024, 1024, 452]);
+        });
+
+        it('aborts multipart uploads of existing exclusive objects', async () => {
+            const storage = createS3Storage();
+
+            storage.partSize = 1024;
+
+            await storage.put('lock', 'first');
+            await rejectsWithCode(storage.put('lock', crypto.randomBytes(2048), { exclusive: true }), 'EEXIST');
+
+            assert.equal(await readString(storage, 'lock'), 'first');
+            assert.equal(stub.uploads.size, 0);
+        });
+    });
+});